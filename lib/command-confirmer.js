@@ -0,0 +1,141 @@
+/**
+ * Command Confirmer
+ *
+ * Polls a device after a command with back-off until its status shows the expected result
+ */
+
+'use strict';
+
+class CommandConfirmer {
+    /**
+     * @param {object} adapter - Adapter instance
+     * @param {object} options
+     * @param {number} options.timeout - Time to wait for the expected status in ms, 0 disables confirmation
+     * @param {(deviceId: string) => Promise<object>} options.pollStatus - Polls a device and returns its status
+     * @param {number} [options.initialDelay=2000] - Delay before the first poll in ms
+     * @param {number} [options.maxDelay=16000] - Longest delay between polls in ms
+     */
+    constructor(adapter, options) {
+        this.adapter = adapter;
+        this.log = adapter.log;
+        this.timeout = options.timeout;
+        this.pollStatus = options.pollStatus;
+        this.initialDelay = options.initialDelay || 2000;
+        this.maxDelay = options.maxDelay || 16000;
+        this.pending = new Map();
+    }
+
+    /**
+     * Check if commands are confirmed at all
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.timeout > 0;
+    }
+
+    /**
+     * Check a status against the expected values
+     * @param {object} status - Device status
+     * @param {object} expected - Expected values by status field
+     * @returns {boolean}
+     */
+    matches(status, expected) {
+        return Object.entries(expected).every(([key, value]) => {
+            const actual = status[key];
+            if (actual === undefined || actual === null) {
+                return false;
+            }
+            if (typeof value === 'number') {
+                return Number(actual) === value;
+            }
+            return String(actual).toLowerCase() === String(value).toLowerCase();
+        });
+    }
+
+    /**
+     * Poll a device until it reports the expected values, a newer command replaces the expectation
+     * @param {string} deviceId - Device ID
+     * @param {string} command - Command sent, for logging
+     * @param {object} expected - Expected values by status field
+     */
+    confirm(deviceId, command, expected) {
+        this.cancel(deviceId);
+
+        // The result of the previous command does not apply to this one
+        this.adapter.setStateAsync(`${deviceId}.info.commandConfirmed`, null, true)
+            .catch(error => this.log.debug(`Failed to reset confirmation of device ${deviceId}: ${error.message}`));
+
+        const confirmation = { timer: null };
+        const started = Date.now();
+        let delay = this.initialDelay;
+
+        const check = async () => {
+            confirmation.timer = null;
+
+            let status = null;
+            try {
+                status = await this.pollStatus(deviceId);
+            } catch (error) {
+                this.log.debug(`Failed to poll device ${deviceId} for confirmation of ${command}: ${error.message}`);
+            }
+
+            if (this.pending.get(deviceId) !== confirmation) {
+                return;
+            }
+
+            if (status && this.matches(status, expected)) {
+                this.pending.delete(deviceId);
+                this.log.debug(`Command ${command} of device ${deviceId} confirmed after ${Date.now() - started}ms`);
+                await this.adapter.setStateAsync(`${deviceId}.info.commandConfirmed`, true, true);
+                await this.adapter.setStateAsync(`${deviceId}.info.unconfirmedCommand`, '', true);
+                return;
+            }
+
+            const elapsed = Date.now() - started;
+            if (elapsed >= this.timeout) {
+                this.pending.delete(deviceId);
+                this.log.warn(`Command ${command} of device ${deviceId} not confirmed within ${this.timeout / 1000}s: expected ${JSON.stringify(expected)}`);
+                await this.adapter.setStateAsync(`${deviceId}.info.commandConfirmed`, false, true);
+                await this.adapter.setStateAsync(`${deviceId}.info.unconfirmedCommand`, command, true);
+                return;
+            }
+
+            delay = Math.min(delay * 2, this.maxDelay);
+            schedule(Math.min(delay, this.timeout - elapsed));
+        };
+
+        const schedule = wait => {
+            confirmation.timer = this.adapter.setTimeout(() => {
+                check().catch(error => this.log.debug(`Confirmation of ${command} for device ${deviceId} failed: ${error.message}`));
+            }, wait);
+        };
+
+        this.pending.set(deviceId, confirmation);
+        schedule(delay);
+    }
+
+    /**
+     * Stop waiting for the result of the last command of a device
+     * @param {string} deviceId - Device ID
+     */
+    cancel(deviceId) {
+        const confirmation = this.pending.get(deviceId);
+        if (confirmation) {
+            if (confirmation.timer) {
+                this.adapter.clearTimeout(confirmation.timer);
+            }
+            this.pending.delete(deviceId);
+        }
+    }
+
+    /**
+     * Stop all confirmations (call on adapter shutdown)
+     */
+    stop() {
+        for (const deviceId of Array.from(this.pending.keys())) {
+            this.cancel(deviceId);
+        }
+    }
+}
+
+module.exports = CommandConfirmer;
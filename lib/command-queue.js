@@ -0,0 +1,152 @@
+/**
+ * Command Queue
+ *
+ * Runs the commands of a device one at a time. Writes of values (e.g. sliders) are debounced
+ * per command and pending writes of the same command collapse to the latest value; presses
+ * of buttons run in order without delay
+ */
+
+'use strict';
+
+class CommandQueue {
+    /**
+     * @param {object} adapter - Adapter instance
+     * @param {object} [options]
+     * @param {number} [options.defaultDelay=300] - Debounce window in ms
+     * @param {Array<{command: string, delay: number}>} [options.delays] - Debounce windows in ms per command or state name
+     * @param {(deviceId: string, command: string, error: Error) => void} [options.onError] - Called when a queued command failed
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.log = adapter.log;
+        this.defaultDelay = options.defaultDelay !== undefined ? options.defaultDelay : 300;
+        this.delays = new Map();
+        this.onError = options.onError || null;
+        this.queues = new Map();
+        this.sequence = 0;
+        this.stopped = false;
+
+        for (const row of options.delays || []) {
+            if (row && row.command) {
+                this.delays.set(String(row.command).trim().toLowerCase(), Number(row.delay) || 0);
+            }
+        }
+    }
+
+    /**
+     * Get the debounce window of a command
+     * @param {string} command - Command or state name
+     * @returns {number} - Delay in ms
+     */
+    getDelay(command) {
+        const delay = this.delays.get(command.toLowerCase());
+        return delay !== undefined ? delay : this.defaultDelay;
+    }
+
+    /**
+     * Queue a command
+     * @param {string} deviceId - Device ID
+     * @param {string} command - Command or state name
+     * @param {any} value - Value written, only logged, mask secrets such as confirmation codes
+     * @param {() => Promise<void>} run - Sends the command
+     * @param {boolean} [coalesce=false] - Debounce the write and replace a pending write of the same command
+     */
+    push(deviceId, command, value, run, coalesce = false) {
+        if (this.stopped) {
+            return;
+        }
+
+        if (!this.queues.has(deviceId)) {
+            this.queues.set(deviceId, { pending: new Map(), running: false });
+        }
+        const queue = this.queues.get(deviceId);
+
+        // Button presses each run once, in order
+        if (!coalesce) {
+            queue.pending.set(`${command}#${++this.sequence}`, { command, value, run, ready: true, timer: null });
+            this.next(deviceId);
+            return;
+        }
+
+        let entry = queue.pending.get(command);
+        if (entry) {
+            this.log.debug(`Command ${command} (${entry.value}) of device ${deviceId} superseded by ${value}`);
+            if (entry.timer) {
+                this.adapter.clearTimeout(entry.timer);
+            }
+        } else {
+            entry = {};
+            queue.pending.set(command, entry);
+        }
+
+        Object.assign(entry, { command, value, run, ready: false, timer: null });
+
+        const delay = this.getDelay(command);
+        if (delay > 0) {
+            entry.timer = this.adapter.setTimeout(() => {
+                entry.timer = null;
+                entry.ready = true;
+                this.next(deviceId);
+            }, delay);
+        } else {
+            entry.ready = true;
+            this.next(deviceId);
+        }
+    }
+
+    /**
+     * Run the next command of a device whose debounce window has passed
+     * @param {string} deviceId - Device ID
+     */
+    next(deviceId) {
+        const queue = this.queues.get(deviceId);
+        if (!queue || queue.running || this.stopped) {
+            return;
+        }
+
+        const ready = Array.from(queue.pending).find(([, entry]) => entry.ready);
+        if (!ready) {
+            if (queue.pending.size === 0) {
+                this.queues.delete(deviceId);
+            }
+            return;
+        }
+
+        const [key, entry] = ready;
+        queue.pending.delete(key);
+        queue.running = true;
+
+        Promise.resolve()
+            .then(() => entry.run())
+            // Failed commands are logged where they are sent
+            .catch(error => {
+                this.log.debug(`Queued command ${entry.command} of device ${deviceId} failed: ${error.message}`);
+                if (this.onError) {
+                    this.onError(deviceId, entry.command, error);
+                }
+            })
+            .finally(() => {
+                queue.running = false;
+                this.next(deviceId);
+            });
+    }
+
+    /**
+     * Drop all pending commands (call on adapter shutdown)
+     */
+    stop() {
+        this.stopped = true;
+
+        for (const queue of this.queues.values()) {
+            for (const entry of queue.pending.values()) {
+                if (entry.timer) {
+                    this.adapter.clearTimeout(entry.timer);
+                }
+            }
+        }
+
+        this.queues.clear();
+    }
+}
+
+module.exports = CommandQueue;
@@ -1,25 +1,18 @@
 /**
  * Device Manager
  * 
- * Handles device discover            'Meter Pro': { 
-                type: 'meterplus', 
-                commands: [],
-                states: { temperature: 'number', humidity: 'number', battery: 'number' }
-            },
-            'MeterPro(CO2)': { 
-                type: 'meterproco2', 
-                commands: [],
-                states: { temperature: 'number', humidity: 'number', CO2: 'number', battery: 'number' }
-            },
-            'Outdoor Meter': { 
-                type: 'outdoormeter', 
-                commands: [],
-                states: { temperature: 'number', humidity: 'number', battery: 'number' }
-            },, and state management
+ * Handles device discovery, creation, and state management
  */
 
 'use strict';
 
+const path = require('path');
+const ProfileRegistry = require('./profile-registry');
+const KeypadManager = require('./keypad-manager');
+const UnlockGuard = require('./unlock-guard');
+const CommandQueue = require('./command-queue');
+const CommandConfirmer = require('./command-confirmer');
+
 class DeviceManager {
     constructor(adapter, api, errorHandler) {
         this.adapter = adapter;
@@ -28,106 +21,26 @@ class DeviceManager {
         this.log = adapter.log;
         this.devices = new Map();
         this.deviceStates = new Map();
+        this.scenes = new Map();
+        this.availability = new Map();
+        this.knownStates = new Set();
+        this.subscriptions = new Set();
+        this.offlineAfterFailures = parseInt(adapter.config.offlineAfterFailures) || 3;
         
-        // Device type mappings
-        this.deviceTypes = {
-            // Physical devices
-            'Bot': { 
-                type: 'bot', 
-                commands: ['turnOn', 'turnOff', 'press'],
-                states: { power: 'boolean', battery: 'number' }
-            },
-            'Curtain': { 
-                type: 'curtain', 
-                commands: ['turnOn', 'turnOff', 'setPosition'],
-                states: { slidePosition: 'number', moving: 'boolean', battery: 'number' }
-            },
-            'Curtain3': { 
-                type: 'curtain3', 
-                commands: ['turnOn', 'turnOff', 'setPosition'],
-                states: { slidePosition: 'number', moving: 'boolean', battery: 'number' }
-            },
-            'Smart Lock': { 
-                type: 'lock', 
-                commands: ['lock', 'unlock'],
-                states: { lockState: 'string', battery: 'number' }
-            },
-            'Smart Lock Pro': { 
-                type: 'lockpro', 
-                commands: ['lock', 'unlock'],
-                states: { lockState: 'string', battery: 'number' }
-            },
-            'Smart Lock Ultra': { 
-                type: 'lockultra', 
-                commands: ['lock', 'unlock'],
-                states: { lockState: 'string', battery: 'number' }
-            },
-            'Meter': { 
-                type: 'meter', 
-                commands: [],
-                states: { temperature: 'number', humidity: 'number', battery: 'number' }
-            },
-            'MeterPlus': { 
-                type: 'meterplus', 
-                commands: [],
-                states: { temperature: 'number', humidity: 'number', battery: 'number' }
-            },
-            'MeterPro': { 
-                type: 'meterpro', 
-                commands: [],
-                states: { temperature: 'number', humidity: 'number', battery: 'number' }
-            },
-            'WoIOSensor': { 
-                type: 'outdoormeter', 
-                commands: [],
-                states: { temperature: 'number', humidity: 'number', battery: 'number' }
-            },
-            'Plug': { 
-                type: 'plug', 
-                commands: ['turnOn', 'turnOff'],
-                states: { power: 'boolean', voltage: 'number', weight: 'number', electricityOfDay: 'number' }
-            },
-            'Plug Mini (US)': { 
-                type: 'plugminus', 
-                commands: ['turnOn', 'turnOff'],
-                states: { power: 'boolean' }
-            },
-            'Plug Mini (JP)': { 
-                type: 'plugminijp', 
-                commands: ['turnOn', 'turnOff'],
-                states: { power: 'boolean' }
-            },
-            'Plug Mini (EU)': { 
-                type: 'plugminieu', 
-                commands: ['turnOn', 'turnOff'],
-                states: { power: 'boolean' }
-            },
-            'Color Bulb': { 
-                type: 'colorbulb', 
-                commands: ['turnOn', 'turnOff', 'setBrightness', 'setColor', 'setColorTemperature'],
-                states: { power: 'boolean', brightness: 'number', color: 'string', colorTemperature: 'number' }
-            },
-            'Strip Light': { 
-                type: 'striplight', 
-                commands: ['turnOn', 'turnOff', 'setBrightness', 'setColor'],
-                states: { power: 'boolean', brightness: 'number', color: 'string' }
-            },
-            'Humidifier': { 
-                type: 'humidifier', 
-                commands: ['turnOn', 'turnOff', 'setMode'],
-                states: { power: 'boolean', humidity: 'number', temperature: 'number', nebulizationEfficiency: 'number', auto: 'boolean', childLock: 'boolean', sound: 'boolean', lackWater: 'boolean' }
-            },
-            'Motion Sensor': { 
-                type: 'motionsensor', 
-                commands: [],
-                states: { moveDetected: 'boolean', brightness: 'string', battery: 'number' }
-            },
-            'Contact Sensor': { 
-                type: 'contactsensor', 
-                commands: [],
-                states: { openState: 'string', moveDetected: 'boolean', brightness: 'string', battery: 'number' }
-            }
-        };
+        // Device profiles by device type
+        this.profiles = new ProfileRegistry(this.log);
+        this.remotes = new ProfileRegistry(this.log, path.join(__dirname, 'profiles', 'infrared'));
+        this.keypads = new KeypadManager(adapter, api);
+        this.unlockGuard = new UnlockGuard(adapter, adapter.config.unlockProtection);
+        this.commandQueue = new CommandQueue(adapter, {
+            defaultDelay: adapter.config.commandDebounce !== undefined ? parseInt(adapter.config.commandDebounce) || 0 : undefined,
+            delays: adapter.config.commandDebounces,
+            onError: (deviceId, command, error) => this.logCommandHint(deviceId, command, error)
+        });
+        this.confirmer = new CommandConfirmer(adapter, {
+            timeout: (adapter.config.commandConfirmTimeout !== undefined ? parseInt(adapter.config.commandConfirmTimeout) || 0 : 60) * 1000,
+            pollStatus: deviceId => this.updateDeviceState(deviceId, 'command')
+        });
     }
 
     /**
@@ -137,18 +50,29 @@ class DeviceManager {
         try {
             this.log.info('Starting device discovery...');
             const deviceData = await this.api.getDevices();
+            const discovered = new Set();
             
             // Process physical devices
             for (const device of deviceData.deviceList) {
                 await this.createDevice(device, 'physical');
+                discovered.add(device.deviceId);
             }
             
             // Process IR remote devices
             for (const device of deviceData.infraredRemoteList) {
                 await this.createDevice(device, 'infrared');
+                discovered.add(device.deviceId);
             }
+
+            // Handle devices removed in the app
+            await this.handleRemovedDevices(discovered);
             
             this.log.info(`Device discovery completed. Found ${this.devices.size} devices.`);
+
+            // Scenes are optional, a failure must not break device discovery
+            await this.errorHandler.safeExecute(async () => {
+                await this.discoverScenes();
+            }, 'scene discovery');
             
         } catch (error) {
             this.log.error(`Device discovery failed: ${error.message}`);
@@ -156,6 +80,148 @@ class DeviceManager {
         }
     }
 
+    /**
+     * Discover manual scenes and create one button state per scene
+     */
+    async discoverScenes() {
+        const sceneList = await this.api.getScenes();
+
+        await this.adapter.setObjectNotExistsAsync('scenes', {
+            type: 'channel',
+            common: { name: 'Scenes' },
+            native: {}
+        });
+
+        const currentIds = new Set();
+        this.scenes.clear();
+
+        for (const scene of sceneList) {
+            const stateName = scene.sceneId.replace(this.adapter.FORBIDDEN_CHARS, '_').replace(/\./g, '_');
+            currentIds.add(`${this.adapter.namespace}.scenes.${stateName}`);
+            this.scenes.set(stateName, scene);
+
+            await this.adapter.extendObjectAsync(`scenes.${stateName}`, {
+                type: 'state',
+                common: {
+                    name: scene.sceneName || scene.sceneId,
+                    type: 'boolean',
+                    role: 'button',
+                    read: false,
+                    write: true,
+                    desc: 'Execute scene'
+                },
+                native: { sceneId: scene.sceneId }
+            });
+        }
+
+        // Remove states of scenes deleted in the app
+        const existing = await this.adapter.getForeignObjectsAsync(`${this.adapter.namespace}.scenes.*`, 'state');
+        for (const id of Object.keys(existing)) {
+            if (!currentIds.has(id)) {
+                this.log.info(`Removing deleted scene ${existing[id].common.name}`);
+                await this.adapter.delForeignObjectAsync(id);
+            }
+        }
+
+        this.subscribe('scenes.*');
+        this.log.info(`Scene discovery completed. Found ${this.scenes.size} scenes.`);
+    }
+
+    /**
+     * Mark or delete devices that exist in the object tree but are no longer reported by the API
+     * @param {Set<string>} discovered - IDs of the devices reported by the API
+     */
+    async handleRemovedDevices(discovered) {
+        const namespace = this.adapter.namespace;
+        const channels = await this.adapter.getForeignObjectsAsync(`${namespace}.*`, 'channel');
+
+        for (const id of Object.keys(channels)) {
+            const deviceId = id.substring(namespace.length + 1);
+
+            // Only top-level device channels, not info or scenes
+            if (deviceId.includes('.') || deviceId === 'info' || deviceId === 'scenes' || discovered.has(deviceId)) {
+                continue;
+            }
+
+            this.devices.delete(deviceId);
+            this.availability.delete(deviceId);
+            this.unsubscribe(`${deviceId}.*`);
+            for (const stateId of this.knownStates) {
+                if (stateId.startsWith(`${deviceId}.`)) {
+                    this.knownStates.delete(stateId);
+                }
+            }
+
+            if (this.adapter.config.deleteRemovedDevices) {
+                this.log.info(`Deleting objects of removed device ${channels[id].common.name} (${deviceId})`);
+                await this.adapter.delObjectAsync(deviceId, { recursive: true });
+                continue;
+            }
+
+            const removedState = await this.adapter.getStateAsync(`${deviceId}.info.removed`);
+            if (!removedState || !removedState.val) {
+                this.log.info(`Device ${channels[id].common.name} (${deviceId}) was removed from the SwitchBot account`);
+            }
+            await this.adapter.setObjectNotExistsAsync(`${deviceId}.info.removed`, {
+                type: 'state',
+                common: {
+                    name: 'Removed from SwitchBot account',
+                    type: 'boolean',
+                    role: 'indicator',
+                    read: true,
+                    write: false,
+                    def: false
+                },
+                native: {}
+            });
+            await this.adapter.setStateChangedAsync(`${deviceId}.info.removed`, true, true);
+            if (await this.adapter.getObjectAsync(`${deviceId}.info.online`)) {
+                await this.adapter.setStateChangedAsync(`${deviceId}.info.online`, false, true);
+            }
+        }
+    }
+
+    /**
+     * Subscribe to a state pattern once
+     * @param {string} pattern - State ID pattern relative to the namespace
+     */
+    subscribe(pattern) {
+        if (!this.subscriptions.has(pattern)) {
+            this.subscriptions.add(pattern);
+            this.adapter.subscribeStates(pattern);
+        }
+    }
+
+    /**
+     * Unsubscribe from a state pattern
+     * @param {string} pattern - State ID pattern relative to the namespace
+     */
+    unsubscribe(pattern) {
+        if (this.subscriptions.delete(pattern)) {
+            this.adapter.unsubscribeStates(pattern);
+        }
+    }
+
+    /**
+     * Execute a scene triggered through its state
+     */
+    async handleSceneCommand(stateName, state) {
+        const scene = this.scenes.get(stateName);
+        if (!scene) {
+            this.log.warn(`Unknown scene: ${stateName}`);
+            return;
+        }
+
+        try {
+            await this.api.executeScene(scene.sceneId);
+            this.log.info(`Scene ${scene.sceneName} executed`);
+            await this.adapter.setStateAsync(`scenes.${stateName}`, state.val, true);
+        } catch (error) {
+            this.log.error(`Failed to execute scene ${scene.sceneName}: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Create device objects and states
      */
@@ -166,23 +232,43 @@ class DeviceManager {
         
         this.log.debug(`Creating device: ${deviceName} (${deviceType})`);
         
+        const profile = category === 'physical' ? this.profiles.getProfile(deviceType) : null;
+        
         // Store device info
         this.devices.set(deviceId, {
             ...deviceInfo,
             category,
-            type: deviceType
+            type: deviceType,
+            family: profile ? profile.family : null
         });
         
-        // Create device channel
-        await this.adapter.setObjectNotExistsAsync(deviceId, {
+        // Create device channel or update name and native data of a known device
+        const existing = await this.adapter.getObjectAsync(deviceId);
+        if (existing && existing.common.name !== deviceName) {
+            this.log.info(`Device ${deviceId} renamed from ${existing.common.name} to ${deviceName}`);
+        }
+
+        // Keypad key lists contain the (encrypted) passcodes, keep them out of the object tree.
+        // null also clears lists stored by older versions
+        const native = { ...deviceInfo };
+        if (native.keyList) {
+            native.keyList = null;
+        }
+
+        await this.adapter.extendObjectAsync(deviceId, {
             type: 'channel',
             common: {
                 name: deviceName,
                 type: deviceType
             },
-            native: deviceInfo
+            native
         });
         
+        // Device may have been marked as removed before
+        if (existing && await this.adapter.getObjectAsync(`${deviceId}.info.removed`)) {
+            await this.adapter.setStateChangedAsync(`${deviceId}.info.removed`, false, true);
+        }
+
         // Create device states based on type
         if (category === 'physical') {
             await this.createPhysicalDeviceStates(deviceId, deviceType);
@@ -191,8 +277,8 @@ class DeviceManager {
         }
         
         // Subscribe to state changes for controllable devices
-        if (this.hasControllableStates(deviceType)) {
-            this.adapter.subscribeStates(`${deviceId}.*`);
+        if (category === 'infrared' || this.hasControllableStates(deviceType)) {
+            this.subscribe(`${deviceId}.*`);
         }
     }
 
@@ -200,10 +286,9 @@ class DeviceManager {
      * Create states for physical devices
      */
     async createPhysicalDeviceStates(deviceId, deviceType) {
-        const typeInfo = this.deviceTypes[deviceType];
-        if (!typeInfo) {
-            this.log.warn(`Unknown device type: ${deviceType}. Creating basic states.`);
-            return;
+        const profile = this.profiles.getProfile(deviceType);
+        if (!profile) {
+            this.log.warn(`Unknown device type: ${deviceType}. States will be created from the reported status.`);
         }
         
         // Create common info states
@@ -227,15 +312,122 @@ class DeviceManager {
         
         await this.adapter.setStateAsync(`${deviceId}.info.deviceType`, deviceType, true);
         
-        // Create status states based on device type
-        for (const [stateName, stateType] of Object.entries(typeInfo.states)) {
-            await this.createDeviceState(deviceId, stateName, stateType, false);
+        await this.createAvailabilityStates(deviceId);
+        await this.createCommandInfoStates(deviceId);
+
+        if (!profile) {
+            return;
+        }
+
+        // Create status states based on device profile
+        for (const [stateName, definition] of Object.entries(profile.states)) {
+            await this.createDeviceState(deviceId, stateName, definition);
         }
         
         // Create command states for controllable devices
-        for (const command of typeInfo.commands) {
-            await this.createCommandState(deviceId, command);
+        for (const [command, definition] of Object.entries(profile.commands)) {
+            await this.createCommandState(deviceId, command, definition);
         }
+
+        await this.restoreControls(deviceId, profile.commands);
+
+        if (profile.family === 'keypad') {
+            await this.keypads.createStates(deviceId, this.devices.get(deviceId).keyList);
+        }
+
+        if (Object.values(profile.commands).some(definition => definition.guarded)) {
+            await this.unlockGuard.createStates(deviceId);
+        }
+    }
+
+    /**
+     * Create availability states of a physical device
+     */
+    async createAvailabilityStates(deviceId) {
+        const states = {
+            online: { name: 'Device reachable', type: 'boolean', role: 'indicator.reachable', def: true },
+            lastSeen: { name: 'Last successful status', type: 'number', role: 'date' },
+            lastError: { name: 'Last error', type: 'string', role: 'text', def: '' },
+            consecutiveFailures: { name: 'Consecutive failed status requests', type: 'number', role: 'value', def: 0 }
+        };
+
+        for (const [stateName, common] of Object.entries(states)) {
+            await this.adapter.setObjectNotExistsAsync(`${deviceId}.info.${stateName}`, {
+                type: 'state',
+                common: {
+                    ...common,
+                    read: true,
+                    write: false
+                },
+                native: {}
+            });
+        }
+    }
+
+    /**
+     * Create the states reporting the result of commands of a device
+     */
+    async createCommandInfoStates(deviceId) {
+        const states = {
+            lastCommand: { name: 'Last command', type: 'string', role: 'text', def: '' },
+            lastCommandResult: { name: 'Result of the last command', type: 'string', role: 'text', states: { success: 'Success', error: 'Error' } },
+            lastCommandError: { name: 'Error of the last command', type: 'string', role: 'text', def: '' },
+            lastCommandLatency: { name: 'Response time of the last command', type: 'number', role: 'value', unit: 'ms' }
+        };
+
+        // Remotes report no status to confirm commands with
+        if (this.devices.get(deviceId).category !== 'infrared') {
+            states.commandConfirmed = { name: 'Last command confirmed by the device status', type: 'boolean', role: 'indicator' };
+            states.unconfirmedCommand = { name: 'Last command not confirmed', type: 'string', role: 'text', def: '' };
+        }
+
+        for (const [stateName, common] of Object.entries(states)) {
+            await this.adapter.setObjectNotExistsAsync(`${deviceId}.info.${stateName}`, {
+                type: 'state',
+                common: {
+                    ...common,
+                    read: true,
+                    write: false
+                },
+                native: {}
+            });
+        }
+    }
+
+    /**
+     * Record a successful status of a device
+     */
+    async markDeviceSeen(deviceId) {
+        const availability = this.availability.get(deviceId) || {};
+        if (availability.online === false) {
+            this.log.info(`Device ${deviceId} is back online`);
+        }
+        this.availability.set(deviceId, { online: true, failures: 0 });
+
+        await this.adapter.setStateChangedAsync(`${deviceId}.info.online`, true, true);
+        await this.adapter.setStateAsync(`${deviceId}.info.lastSeen`, Date.now(), true);
+        await this.adapter.setStateChangedAsync(`${deviceId}.info.consecutiveFailures`, 0, true);
+    }
+
+    /**
+     * Record a failed status request of a device
+     */
+    async markDeviceFailed(deviceId, error) {
+        const availability = this.availability.get(deviceId) || { online: true, failures: 0 };
+        const failures = availability.failures + 1;
+
+        // 161: device offline, 171: hub offline
+        const unreachable = error.statusCode === 161 || error.statusCode === 171;
+        const online = availability.online !== false && !unreachable && failures < this.offlineAfterFailures;
+
+        if (availability.online !== false && !online) {
+            this.log.warn(`Device ${deviceId} is offline: ${error.message}`);
+        }
+        this.availability.set(deviceId, { online, failures });
+
+        await this.adapter.setStateChangedAsync(`${deviceId}.info.online`, online, true);
+        await this.adapter.setStateAsync(`${deviceId}.info.lastError`, error.message, true);
+        await this.adapter.setStateAsync(`${deviceId}.info.consecutiveFailures`, failures, true);
     }
 
     /**
@@ -262,6 +454,7 @@ class DeviceManager {
         });
         
         await this.adapter.setStateAsync(`${deviceId}.info.remoteType`, deviceType, true);
+        await this.createCommandInfoStates(deviceId);
         
         // Create basic control state for IR devices
         await this.adapter.setObjectNotExistsAsync(`${deviceId}.command`, {
@@ -276,63 +469,221 @@ class DeviceManager {
             },
             native: {}
         });
-        
-        this.adapter.subscribeStates(`${deviceId}.command`);
+
+        await this.createCustomButtons(deviceId);
+
+        // Create typed controls of the remote type
+        const profile = this.remotes.getProfile(deviceType);
+        if (!profile) {
+            this.log.debug(`No typed controls for remote type ${deviceType}, only the raw command state is available`);
+            return;
+        }
+
+        for (const [command, definition] of Object.entries(profile.commands)) {
+            await this.createCommandState(deviceId, command, definition);
+        }
+
+        // Restore the last values sent, the remote has no status to read them from
+        await this.restoreControls(deviceId, profile.commands);
+    }
+
+    /**
+     * Restore the values of stateful commands and settings from their states
+     * @param {string} deviceId - Device ID
+     * @param {object} commands - Command definitions by name
+     */
+    async restoreControls(deviceId, commands) {
+        const device = this.devices.get(deviceId);
+        device.controls = {};
+
+        for (const [command, definition] of Object.entries(commands)) {
+            if (!definition.stateful && !definition.setting) continue;
+
+            const state = await this.adapter.getStateAsync(`${deviceId}.${command}`);
+            if (state && state.val !== null && state.val !== undefined) {
+                device.controls[command] = state.val;
+            }
+        }
     }
 
     /**
-     * Create device state
+     * Create one button state per learned IR button configured for the remote
+     * @param {string} deviceId - Device ID of the remote
      */
-    async createDeviceState(deviceId, stateName, stateType, writable = false) {
+    async createCustomButtons(deviceId) {
+        const device = this.devices.get(deviceId);
+        const buttons = (this.adapter.config.customButtons || [])
+            .filter(row => row && row.button && String(row.deviceId).trim().toUpperCase() === deviceId.toUpperCase())
+            .map(row => String(row.button).trim());
+        const currentIds = new Set();
+
+        device.buttons = new Map();
+
+        if (buttons.length > 0) {
+            await this.adapter.setObjectNotExistsAsync(`${deviceId}.buttons`, {
+                type: 'channel',
+                common: { name: 'Learned Buttons' },
+                native: {}
+            });
+        }
+
+        for (const button of buttons) {
+            const stateName = button.replace(this.adapter.FORBIDDEN_CHARS, '_').replace(/[.\s]/g, '_');
+            currentIds.add(`${this.adapter.namespace}.${deviceId}.buttons.${stateName}`);
+            device.buttons.set(stateName, button);
+
+            await this.adapter.extendObjectAsync(`${deviceId}.buttons.${stateName}`, {
+                type: 'state',
+                common: {
+                    name: button,
+                    type: 'boolean',
+                    role: 'button',
+                    read: false,
+                    write: true,
+                    desc: 'Send learned IR button'
+                },
+                native: { command: button }
+            });
+        }
+
+        // Remove states of buttons no longer configured
+        const existing = await this.adapter.getForeignObjectsAsync(`${this.adapter.namespace}.${deviceId}.buttons.*`, 'state');
+        for (const id of Object.keys(existing)) {
+            if (!currentIds.has(id)) {
+                this.log.info(`Removing button ${existing[id].common.name} of device ${deviceId}`);
+                await this.adapter.delForeignObjectAsync(id);
+            }
+        }
+
+        if (buttons.length === 0 && await this.adapter.getObjectAsync(`${deviceId}.buttons`)) {
+            await this.adapter.delObjectAsync(`${deviceId}.buttons`);
+        }
+    }
+
+    /**
+     * Create device state from a profile state definition
+     */
+    async createDeviceState(deviceId, stateName, definition) {
         const stateId = `${deviceId}.${stateName}`;
         
-        const roleMap = {
-            'power': 'switch.power',
-            'temperature': 'value.temperature',
-            'humidity': 'value.humidity',
-            'battery': 'value.battery',
-            'brightness': 'level.dimmer',
-            'slidePosition': 'level.blind',
-            'lockState': 'sensor.lock',
-            'moveDetected': 'sensor.motion',
-            'openState': 'sensor.door',
-            'CO2': 'value.co2'
+        const common = {
+            name: definition.name || stateName,
+            type: definition.type,
+            role: definition.role || this.getStateRole(stateName) || 'state',
+            read: true,
+            write: !!definition.write,
+            unit: definition.unit !== undefined ? definition.unit : this.getStateUnit(stateName)
         };
-        
+
+        for (const key of ['min', 'max', 'states', 'def']) {
+            if (definition[key] !== undefined) {
+                common[key] = definition[key];
+            }
+        }
+
+        await this.adapter.extendObjectAsync(stateId, {
+            type: 'state',
+            common,
+            native: {}
+        });
+        this.knownStates.add(stateId);
+    }
+
+    /**
+     * Create an object for a status field without definition, inferring type, role and unit
+     * @param {string} stateId - State ID relative to the adapter namespace
+     * @param {string} key - Status field name
+     * @param {any} value - Reported value
+     */
+    async createInferredState(stateId, key, value) {
+        const type = typeof value === 'number' || typeof value === 'boolean' ? typeof value : 'string';
+        const fallbackRoles = { number: 'value', boolean: 'indicator', string: 'text' };
+
+        // Roles of known fields only apply if the value has the type the role stands for
+        const typeRoles = {
+            number: /^(value|level)(\.|$)/,
+            boolean: /^(indicator|sensor|switch)(\.|$)/,
+            string: /^(text|info|level\.color\.rgb)(\.|$)/
+        };
+        const mappedRole = this.getStateRole(key);
+        const fittingRole = mappedRole && typeRoles[type].test(mappedRole) ? mappedRole : fallbackRoles[type];
+        const role = typeof value === 'object' ? 'json' : fittingRole;
+
+        this.log.debug(`Creating state ${stateId} for unknown status field (${type})`);
+
         await this.adapter.setObjectNotExistsAsync(stateId, {
             type: 'state',
             common: {
-                name: stateName,
-                type: stateType,
-                role: roleMap[stateName] || 'state',
+                name: key,
+                type,
+                role,
                 read: true,
-                write: writable,
-                unit: this.getStateUnit(stateName)
+                write: false,
+                unit: this.getStateUnit(key)
             },
             native: {}
         });
     }
 
     /**
-     * Create command state
+     * Create command state from a profile command definition
      */
-    async createCommandState(deviceId, command) {
+    async createCommandState(deviceId, command, definition = {}) {
         const stateId = `${deviceId}.${command}`;
         
-        await this.adapter.setObjectNotExistsAsync(stateId, {
+        const common = {
+            name: definition.name || command,
+            type: definition.type || 'mixed',
+            role: definition.role || 'button',
+            read: !!(definition.stateful || definition.setting),
+            write: true,
+            desc: definition.desc || `Execute ${command} command`
+        };
+
+        for (const key of ['unit', 'min', 'max', 'states', 'def']) {
+            if (definition[key] !== undefined) {
+                common[key] = definition[key];
+            }
+        }
+
+        await this.adapter.extendObjectAsync(stateId, {
             type: 'state',
-            common: {
-                name: command,
-                type: 'mixed',
-                role: 'button',
-                read: false,
-                write: true,
-                desc: `Execute ${command} command`
-            },
+            common,
             native: {}
         });
     }
 
+    /**
+     * Get role for state
+     */
+    getStateRole(stateName) {
+        const roleMap = {
+            'power': 'switch.power',
+            'temperature': 'value.temperature',
+            'humidity': 'value.humidity',
+            'battery': 'value.battery',
+            'brightness': 'level.dimmer',
+            'slidePosition': 'value',
+            'lockState': 'sensor.lock',
+            'moveDetected': 'sensor.motion',
+            'openState': 'sensor.door',
+            'CO2': 'value.co2',
+            'voltage': 'value.voltage',
+            'weight': 'value.power',
+            'electricCurrent': 'value.current',
+            'lightLevel': 'value.brightness',
+            'onlineStatus': 'indicator.reachable',
+            'colorTemperature': 'level.color.temperature',
+            'color': 'level.color.rgb',
+            'version': 'info.firmware',
+            'hubDeviceId': 'info.address',
+            'deviceId': 'info.address',
+            'deviceName': 'info.name',
+            'deviceType': 'info.name'
+        };
+        return roleMap[stateName];
+    }
+
     /**
      * Get unit for state
      */
@@ -344,57 +695,177 @@ class DeviceManager {
             'brightness': '%',
             'slidePosition': '%',
             'voltage': 'V',
-            'weight': 'kg',
-            'electricityOfDay': 'kWh',
-            'CO2': 'ppm'
+            'weight': 'W',
+            'electricityOfDay': 'min',
+            'electricCurrent': 'A',
+            'CO2': 'ppm',
+            'colorTemperature': 'K'
         };
         return units[stateName] || '';
     }
 
+    /**
+     * Check if a status field is device metadata rather than telemetry
+     */
+    isMetadataField(key) {
+        return ['deviceId', 'deviceName', 'deviceType', 'hubDeviceId', 'version', 'firmwareVersion', 'onlineStatus'].includes(key);
+    }
+
     /**
      * Check if device type has controllable states
      */
     hasControllableStates(deviceType) {
-        const typeInfo = this.deviceTypes[deviceType];
-        return typeInfo && typeInfo.commands.length > 0;
+        const profile = this.profiles.getProfile(deviceType);
+        return !!profile && Object.keys(profile.commands).length > 0;
     }
 
     /**
-     * Update all device states
+     * Get the devices that are polled for status updates
      */
-    async updateAllDeviceStates() {
-        const physicalDevices = Array.from(this.devices.values()).filter(d => d.category === 'physical');
-        
-        for (const device of physicalDevices) {
-            await this.errorHandler.safeExecute(async () => {
-                await this.updateDeviceState(device.deviceId);
-            }, `update device ${device.deviceId}`);
-        }
+    getPolledDevices() {
+        return Array.from(this.devices.values()).filter(d => {
+            const profile = this.profiles.getProfile(d.type);
+            return d.category === 'physical' && (!profile || profile.poll);
+        });
     }
 
     /**
      * Update device state
+     * @param {string} deviceId - Device ID
+     * @param {string} [lane='poll'] - Priority lane of the status request
+     * @param {boolean} [recordFailure=true] - Count a failed request, false if the caller retries and records the failure itself
+     * @returns {Promise<object>} - Device status
      */
-    async updateDeviceState(deviceId) {
-        return await this.errorHandler.handleRateLimit(async () => {
-            const status = await this.api.getDeviceStatus(deviceId);
-            
-            for (const [key, value] of Object.entries(status)) {
-                const stateId = `${deviceId}.${key}`;
-                await this.adapter.setStateAsync(stateId, value, true);
+    async updateDeviceState(deviceId, lane = 'poll', recordFailure = true) {
+        let status;
+        try {
+            status = await this.api.getDeviceStatus(deviceId, lane);
+        } catch (error) {
+            if (recordFailure) {
+                await this.markDeviceFailed(deviceId, error);
             }
-        });
+            throw error;
+        }
+
+        // Some devices report their own connection state
+        if (status.onlineStatus === 'offline') {
+            const error = new Error('Device reports offline status');
+            error.statusCode = 161;
+            await this.markDeviceFailed(deviceId, error);
+        } else {
+            await this.markDeviceSeen(deviceId);
+        }
+
+        await this.applyDeviceStatus(deviceId, status);
+        return status;
+    }
+
+    /**
+     * Write status values into device states
+     */
+    async applyDeviceStatus(deviceId, status) {
+        const device = this.devices.get(deviceId);
+        const profile = device ? this.profiles.getProfile(device.type) : null;
+
+        for (const [key, value] of Object.entries(status)) {
+            if (value === null || value === undefined) continue;
+
+            const definition = profile && profile.states[key];
+            let stateValue = definition && definition.convert ? definition.convert(value, status) : value;
+            if (typeof stateValue === 'object') {
+                stateValue = JSON.stringify(stateValue);
+            }
+
+            const stateId = !definition && this.isMetadataField(key) ? `${deviceId}.info.${key}` : `${deviceId}.${key}`;
+
+            if (!this.knownStates.has(stateId)) {
+                const obj = await this.adapter.getObjectAsync(stateId);
+                if (!obj) {
+                    await this.createInferredState(stateId, key, value);
+                }
+                this.knownStates.add(stateId);
+            }
+
+            await this.adapter.setStateAsync(stateId, stateValue, true);
+        }
+
+        // States derived from another status field
+        for (const [stateName, definition] of Object.entries(profile ? profile.states : {})) {
+            const value = definition.source && status[definition.source];
+            if (value !== undefined && value !== null && value !== '') {
+                await this.adapter.setStateAsync(`${deviceId}.${stateName}`, definition.convert(value, status), true);
+            }
+        }
+    }
+
+    /**
+     * Handle a webhook event pushed by the SwitchBot cloud
+     */
+    async handleWebhookEvent(event) {
+        if (!event || event.eventType !== 'changeReport' || !event.context) {
+            this.log.debug(`Ignoring webhook event: ${JSON.stringify(event)}`);
+            return;
+        }
+
+        const deviceId = event.context.deviceMac;
+        if (!this.devices.has(deviceId)) {
+            this.log.debug(`Webhook event for unknown device: ${deviceId}`);
+            return;
+        }
+
+        // Results of passcode changes
+        if (event.context.eventName === 'createKey' || event.context.eventName === 'deleteKey') {
+            await this.keypads.handleEvent(deviceId, event.context);
+            return;
+        }
+
+        const profile = this.profiles.getProfile(this.devices.get(deviceId).type);
+        const status = this.convertWebhookContext(event.context, profile);
+        this.log.debug(`Webhook update for device ${deviceId}: ${JSON.stringify(status)}`);
+        await this.markDeviceSeen(deviceId);
+        await this.applyDeviceStatus(deviceId, status);
+    }
+
+    /**
+     * Convert webhook context fields to the format returned by the status endpoint
+     * @param {object} context - Webhook event context
+     * @param {object|null} [profile] - Device profile, maps fields named differently in the webhook
+     */
+    convertWebhookContext(context, profile) {
+        const ignoredFields = ['deviceType', 'deviceMac', 'timeOfSample', 'scale'];
+        const status = {};
+
+        for (const [key, value] of Object.entries(context)) {
+            if (ignoredFields.includes(key)) continue;
+
+            if (profile && profile.webhook[key]) {
+                status[profile.webhook[key]] = value;
+            } else if (key === 'powerState') {
+                status.power = String(value).toLowerCase();
+            } else if (key === 'lockState' || key === 'doorState' || key === 'power') {
+                status[key] = String(value).toLowerCase();
+            } else {
+                status[key] = value;
+            }
+        }
+
+        return status;
     }
 
     /**
      * Handle state changes
      */
     async handleStateChange(id, state) {
-        const parts = id.split('.');
-        if (parts.length < 3) return;
+        const parts = id.substring(this.adapter.namespace.length + 1).split('.');
+        if (parts.length < 2) return;
         
-        const deviceId = parts[parts.length - 2];
-        const stateName = parts[parts.length - 1];
+        const deviceId = parts[0];
+        const stateName = parts.slice(1).join('.');
+
+        if (deviceId === 'scenes') {
+            await this.handleSceneCommand(stateName, state);
+            return;
+        }
         
         const device = this.devices.get(deviceId);
         if (!device) {
@@ -402,10 +873,145 @@ class DeviceManager {
             return;
         }
         
-        if (device.category === 'infrared') {
-            await this.handleInfraredCommand(deviceId, stateName, state.val);
-        } else {
-            await this.handlePhysicalDeviceCommand(deviceId, stateName, state.val);
+        if (stateName === 'armUnlock' && device.category !== 'infrared') {
+            await this.unlockGuard.arm(deviceId);
+            return;
+        }
+
+        // Values of guarded commands may be confirmation codes and never go to the log
+        const profile = this.getDeviceProfile(device);
+        const definition = profile && profile.commands[this.getMappedCommand(profile, stateName, state.val)];
+        const guarded = !!(definition && definition.guarded);
+        const loggedValue = guarded ? '***' : state.val;
+        this.log.debug(`Command ${stateName} written for device ${deviceId}: ${loggedValue}`);
+
+        // Commands of a device run one at a time, rapid writes of values collapse to the latest value
+        const handler = device.category === 'infrared' ? 'handleInfraredCommand' : 'handlePhysicalDeviceCommand';
+        this.commandQueue.push(deviceId, stateName, loggedValue, () => this[handler](deviceId, stateName, state.val), this.carriesValue(device, stateName));
+    }
+
+    /**
+     * Log a hint on how to avoid a failed command
+     * @param {string} deviceId - Device ID
+     * @param {string} command - Command or state written
+     * @param {Error} error - Error of the command
+     */
+    logCommandHint(deviceId, command, error) {
+        if (error.message.includes('Rate limit')) {
+            this.log.warn('API rate limit reached. Please reduce command frequency or increase poll interval.');
+        } else if (error.message.includes('Invalid')) {
+            this.log.error(`Invalid command ${command} or device configuration for ${deviceId}. Please check device settings.`);
+        }
+    }
+
+    /**
+     * Get the command a state runs, writable status states run the command they are mapped to
+     * @param {object|null} profile - Device profile
+     * @param {string} stateName - State written
+     * @param {any} value - Value written
+     * @returns {string} - Command name
+     */
+    getMappedCommand(profile, stateName, value) {
+        const stateDefinition = profile && profile.states && profile.states[stateName];
+        if (!stateDefinition || !stateDefinition.write || !stateDefinition.command) {
+            return stateName;
+        }
+        return typeof stateDefinition.command === 'function' ? stateDefinition.command(value) : stateDefinition.command;
+    }
+
+    /**
+     * Check if a state carries a value (e.g. a slider) rather than being a button
+     * @param {object} device - Device entry
+     * @param {string} stateName - State written
+     * @returns {boolean} - True for writable status states, stateful commands, settings and number or level states
+     */
+    carriesValue(device, stateName) {
+        const profile = this.getDeviceProfile(device);
+        if (!profile) {
+            return false;
+        }
+
+        const stateDefinition = profile.states && profile.states[stateName];
+        if (stateDefinition && stateDefinition.write) {
+            return true;
+        }
+
+        const definition = profile.commands[stateName];
+        if (!definition) {
+            return false;
+        }
+
+        return !!(definition.stateful || definition.setting || definition.type === 'number' || String(definition.role || '').startsWith('level'));
+    }
+
+    /**
+     * Get the profile of a device, remote profiles for infrared devices
+     * @param {object} device - Device entry
+     * @returns {object|null} - Profile or null if the device type is not supported
+     */
+    getDeviceProfile(device) {
+        const registry = device.category === 'infrared' ? this.remotes : this.profiles;
+        return registry.getProfile(device.type);
+    }
+
+    /**
+     * Build the API payload for a command from the device profile
+     * @returns {object|null} - Command payload or null if the command is unknown
+     */
+    buildCommand(deviceId, command, value) {
+        const device = this.devices.get(deviceId);
+        const profile = this.getDeviceProfile(device);
+        const definition = profile && profile.commands[command];
+        if (!definition) {
+            return null;
+        }
+
+        const name = typeof definition.command === 'function' ? definition.command(value, device) : definition.command;
+        const commandData = {
+            command: name || command,
+            parameter: definition.parameter ? definition.parameter(value, device) : 'default'
+        };
+
+        if (definition.commandType) {
+            commandData.commandType = definition.commandType;
+        }
+
+        return commandData;
+    }
+
+    /**
+     * Send a command, acknowledge the state written and record the result in the info states
+     * @param {string} deviceId - Device ID
+     * @param {string} command - Command name recorded in lastCommand
+     * @param {string} stateName - State written
+     * @param {object} commandData - Command payload
+     * @param {any} ackValue - Value the written state is acknowledged with
+     */
+    async sendDeviceCommand(deviceId, command, stateName, commandData, ackValue) {
+        const sentAt = Date.now();
+        try {
+            await this.api.sendCommand(deviceId, commandData);
+        } finally {
+            await this.adapter.setStateAsync(`${deviceId}.info.lastCommandLatency`, Date.now() - sentAt, true);
+        }
+
+        await this.recordCommandResult(deviceId, command);
+        await this.adapter.setStateAsync(`${deviceId}.${stateName}`, ackValue, true);
+    }
+
+    /**
+     * Record the result of a command in the info states of the device
+     * @param {string} deviceId - Device ID
+     * @param {string} command - Command name
+     * @param {Error} [error] - Error if the command failed, its message contains the SwitchBot status code
+     */
+    async recordCommandResult(deviceId, command, error) {
+        try {
+            await this.adapter.setStateAsync(`${deviceId}.info.lastCommand`, command, true);
+            await this.adapter.setStateAsync(`${deviceId}.info.lastCommandResult`, error ? 'error' : 'success', true);
+            await this.adapter.setStateAsync(`${deviceId}.info.lastCommandError`, error ? error.message : '', true);
+        } catch (stateError) {
+            this.log.debug(`Failed to record command result of device ${deviceId}: ${stateError.message}`);
         }
     }
 
@@ -413,54 +1019,77 @@ class DeviceManager {
      * Handle physical device commands
      */
     async handlePhysicalDeviceCommand(deviceId, command, value) {
+        const stateName = command;
+        const written = value;
         try {
-            let commandData;
-            
-            switch (command) {
-                case 'turnOn':
-                    commandData = { command: 'turnOn', parameter: 'default' };
-                    break;
-                case 'turnOff':
-                    commandData = { command: 'turnOff', parameter: 'default' };
-                    break;
-                case 'press':
-                    commandData = { command: 'press', parameter: 'default' };
-                    break;
-                case 'setPosition':
-                    commandData = { command: 'setPosition', parameter: `0,ff,${value}` };
-                    break;
-                case 'setBrightness':
-                    commandData = { command: 'setBrightness', parameter: value };
-                    break;
-                case 'setColor':
-                    commandData = { command: 'setColor', parameter: value };
-                    break;
-                case 'setColorTemperature':
-                    commandData = { command: 'setColorTemperature', parameter: value };
-                    break;
-                case 'lock':
-                    commandData = { command: 'lock', parameter: 'default' };
-                    break;
-                case 'unlock':
-                    commandData = { command: 'unlock', parameter: 'default' };
-                    break;
-                default:
-                    this.log.warn(`Unknown command: ${command} for device ${deviceId}`);
-                    return;
+            const device = this.devices.get(deviceId);
+            const profile = this.getDeviceProfile(device);
+            let definition = profile && profile.commands[command];
+
+            // Writable status states run the command they are mapped to
+            const stateDefinition = profile && profile.states[command];
+            if (!definition && stateDefinition && stateDefinition.write && stateDefinition.command) {
+                command = this.getMappedCommand(profile, stateName, value);
+                definition = profile.commands[command];
+
+                // The state may count the other way round than the command, e.g. blind levels
+                if (stateDefinition.toCommand) {
+                    value = stateDefinition.toCommand(value);
+                }
+            }
+
+            // Commands that need authorization, e.g. unlock
+            const codeWritten = !!(definition && definition.guarded && typeof written === 'string');
+            if (definition && definition.guarded) {
+                // Do not keep confirmation codes in the state, a switch stays closed until the command succeeded
+                if (codeWritten) {
+                    await this.adapter.setStateAsync(`${deviceId}.${stateName}`, stateName === command ? '' : false, true);
+                }
+                await this.unlockGuard.authorize(deviceId, value);
+            }
+
+            // Settings only configure other commands and are not sent
+            if (definition && definition.setting) {
+                device.controls[command] = definition.parameter ? definition.parameter(value, device) : value;
+                await this.adapter.setStateAsync(`${deviceId}.${command}`, value, true);
+                this.log.debug(`Setting ${command} of device ${deviceId} changed to ${value}`);
+                return;
+            }
+
+            const commandData = this.buildCommand(deviceId, command, value);
+            if (!commandData) {
+                this.log.warn(`Unknown command: ${command} for device ${deviceId}`);
+                return;
             }
             
-            await this.api.sendCommand(deviceId, commandData);
+            // A switch written with a confirmation code shows the state the code switched to, e.g. unlocked
+            let ackValue = written;
+            if (codeWritten) {
+                ackValue = stateName === command ? '' : Boolean(written);
+            }
+            await this.sendDeviceCommand(deviceId, command, stateName, commandData, ackValue);
             this.log.info(`Command ${command} sent to device ${deviceId}`);
+
+            // Keep the value of commands the status does not report
+            if (definition.stateful) {
+                device.controls[command] = value;
+            }
             
-            // Update device state after command
-            setTimeout(() => {
-                this.updateDeviceState(deviceId).catch(err => 
-                    this.log.debug(`Failed to update device state after command: ${err.message}`)
-                );
-            }, 2000);
+            // Poll until the device reports the expected result, or refresh once
+            const expected = definition.expect ? definition.expect(value, device) : null;
+            if (expected && this.confirmer.isEnabled()) {
+                this.confirmer.confirm(deviceId, command, expected);
+            } else {
+                setTimeout(() => {
+                    this.updateDeviceState(deviceId, 'command').catch(err =>
+                        this.log.debug(`Failed to update device state after command: ${err.message}`)
+                    );
+                }, 2000);
+            }
             
         } catch (error) {
             this.log.error(`Failed to send command ${command} to device ${deviceId}: ${error.message}`);
+            await this.recordCommandResult(deviceId, command, error);
             throw error;
         }
     }
@@ -469,10 +1098,18 @@ class DeviceManager {
      * Handle infrared device commands
      */
     async handleInfraredCommand(deviceId, stateName, value) {
-        if (stateName !== 'command') return;
+        if (stateName.startsWith('buttons.')) {
+            await this.handleCustomButton(deviceId, stateName.substring('buttons.'.length), value);
+            return;
+        }
+
+        if (stateName !== 'command') {
+            await this.handleInfraredControl(deviceId, stateName, value);
+            return;
+        }
         
+        let commandData = null;
         try {
-            let commandData;
             if (typeof value === 'string') {
                 try {
                     commandData = JSON.parse(value);
@@ -483,11 +1120,63 @@ class DeviceManager {
                 commandData = value;
             }
             
-            await this.api.sendCommand(deviceId, commandData);
+            await this.sendDeviceCommand(deviceId, commandData.command, stateName, commandData, value);
             this.log.info(`IR command sent to device ${deviceId}: ${JSON.stringify(commandData)}`);
             
         } catch (error) {
             this.log.error(`Failed to send IR command to device ${deviceId}: ${error.message}`);
+            await this.recordCommandResult(deviceId, (commandData && commandData.command) || stateName, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a learned IR button
+     */
+    async handleCustomButton(deviceId, stateName, value) {
+        const button = this.devices.get(deviceId).buttons.get(stateName);
+        if (!button) {
+            this.log.warn(`Unknown button ${stateName} of IR device ${deviceId}`);
+            return;
+        }
+
+        try {
+            await this.sendDeviceCommand(deviceId, button, `buttons.${stateName}`, {
+                command: button,
+                parameter: 'default',
+                commandType: 'customize'
+            }, value);
+            this.log.info(`IR button ${button} sent to device ${deviceId}`);
+        } catch (error) {
+            this.log.error(`Failed to send IR button ${button} to device ${deviceId}: ${error.message}`);
+            await this.recordCommandResult(deviceId, button, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle typed controls of infrared devices
+     */
+    async handleInfraredControl(deviceId, control, value) {
+        try {
+            const commandData = this.buildCommand(deviceId, control, value);
+            if (!commandData) {
+                this.log.debug(`Ignoring state ${control} of IR device ${deviceId}`);
+                return;
+            }
+
+            await this.sendDeviceCommand(deviceId, control, control, commandData, value);
+            this.log.info(`IR command ${commandData.command} sent to device ${deviceId}`);
+
+            // Keep the value sent, it is the only status a remote has
+            const device = this.devices.get(deviceId);
+            const definition = this.getDeviceProfile(device).commands[control];
+            if (definition.stateful) {
+                device.controls[control] = value;
+            }
+        } catch (error) {
+            this.log.error(`Failed to send IR command ${control} to device ${deviceId}: ${error.message}`);
+            await this.recordCommandResult(deviceId, control, error);
             throw error;
         }
     }
@@ -109,26 +109,6 @@ class ErrorHandler {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    /**
-     * Handle API rate limiting
-     * @param {Function} fn - Function to execute
-     * @param {number} minInterval - Minimum interval between calls (ms)
-     * @returns {Promise} - Result of function
-     */
-    async handleRateLimit(fn, minInterval = 100) {
-        const now = Date.now();
-        const lastCall = this.lastApiCall || 0;
-        const timeSinceLastCall = now - lastCall;
-        
-        if (timeSinceLastCall < minInterval) {
-            const delay = minInterval - timeSinceLastCall;
-            await this.sleep(delay);
-        }
-        
-        this.lastApiCall = Date.now();
-        return await fn();
-    }
-
     /**
      * Validate configuration
      * @param {object} config - Configuration object
@@ -152,6 +132,119 @@ class ErrorHandler {
             }
         }
         
+        for (const row of config.typePollIntervals || []) {
+            const interval = Number(row.interval);
+            if (isNaN(interval) || interval < 10) {
+                errors.push(`Poll interval for ${row.type} must be at least 10 seconds`);
+            }
+        }
+
+        for (const row of config.devicePollIntervals || []) {
+            const interval = Number(row.interval);
+            if (isNaN(interval) || (interval !== 0 && interval < 10)) {
+                errors.push(`Poll interval for device ${row.deviceId} must be 0 or at least 10 seconds`);
+            }
+        }
+
+        for (const row of config.customButtons || []) {
+            if (!row.deviceId || !row.button) {
+                errors.push('Learned IR buttons need a device ID and a button name');
+            }
+        }
+
+        for (const row of config.unlockProtection || []) {
+            const armWindow = Number(row.armWindow);
+            if (!row.deviceId) {
+                errors.push('Protected locks need a device ID');
+            }
+            if (row.armWindow !== undefined && row.armWindow !== '' && (isNaN(armWindow) || armWindow < 5 || armWindow > 600)) {
+                errors.push(`Arm window for lock ${row.deviceId} must be between 5 and 600 seconds`);
+            }
+            if (!row.fromTime !== !row.toTime) {
+                errors.push(`Unlock protection of lock ${row.deviceId} needs both From and To, or neither`);
+            }
+            for (const time of [row.fromTime, row.toTime]) {
+                if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+                    errors.push(`Invalid time ${time} for lock ${row.deviceId}: expected HH:MM`);
+                }
+            }
+        }
+
+        if (config.requestConcurrency !== undefined) {
+            const concurrency = parseInt(config.requestConcurrency);
+            if (isNaN(concurrency) || concurrency < 1 || concurrency > 10) {
+                errors.push('Parallel requests must be between 1 and 10');
+            }
+        }
+
+        if (config.maxRequestsPerSecond !== undefined) {
+            const perSecond = parseInt(config.maxRequestsPerSecond);
+            if (isNaN(perSecond) || perSecond < 1 || perSecond > 20) {
+                errors.push('Requests per second must be between 1 and 20');
+            }
+        }
+
+        if (config.offlineAfterFailures !== undefined) {
+            const failures = parseInt(config.offlineAfterFailures);
+            if (isNaN(failures) || failures < 1) {
+                errors.push('Offline after failures must be at least 1');
+            }
+        }
+
+        if (config.rediscoveryInterval !== undefined) {
+            const minutes = parseInt(config.rediscoveryInterval);
+            if (isNaN(minutes) || minutes < 0) {
+                errors.push('Rediscovery interval must be 0 or more minutes');
+            }
+        }
+
+        if (config.commandDebounce !== undefined) {
+            const delay = parseInt(config.commandDebounce);
+            if (isNaN(delay) || delay < 0 || delay > 10000) {
+                errors.push('Command debounce must be between 0 and 10000 ms');
+            }
+        }
+
+        for (const row of config.commandDebounces || []) {
+            const delay = Number(row.delay);
+            if (!row.command) {
+                errors.push('Command debounce entries need a command or state name');
+            }
+            if (isNaN(delay) || delay < 0 || delay > 10000) {
+                errors.push(`Debounce for command ${row.command} must be between 0 and 10000 ms`);
+            }
+        }
+
+        if (config.commandConfirmTimeout !== undefined) {
+            const timeout = parseInt(config.commandConfirmTimeout);
+            if (isNaN(timeout) || timeout < 0 || timeout > 600) {
+                errors.push('Command confirmation timeout must be between 0 and 600 seconds');
+            }
+        }
+
+        if (config.dailyRequestBudget !== undefined) {
+            const budget = parseInt(config.dailyRequestBudget);
+            if (isNaN(budget) || budget < 100) {
+                errors.push('Daily request budget must be at least 100');
+            } else if (config.commandReserve !== undefined) {
+                const reserve = parseInt(config.commandReserve);
+                if (isNaN(reserve) || reserve < 0 || reserve >= budget) {
+                    errors.push('Command reserve must be between 0 and the daily request budget');
+                }
+            }
+        }
+
+        if (config.enableWebhook) {
+            if (!config.webhookUrl || !/^https?:\/\/.+/.test(config.webhookUrl)) {
+                errors.push('Webhook URL must start with http:// or https://');
+            }
+
+            const port = parseInt(config.webhookPort);
+            if (isNaN(port) || port < 1 || port > 65535) {
+                errors.push('Webhook port must be between 1 and 65535');
+            }
+        }
+
         if (errors.length > 0) {
             throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
         }
@@ -231,7 +324,6 @@ class ErrorHandler {
      */
     cleanup() {
         this.retryAttempts.clear();
-        this.lastApiCall = null;
     }
 }
 
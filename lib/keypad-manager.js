@@ -0,0 +1,205 @@
+/**
+ * Keypad Manager
+ *
+ * Creates and deletes keypad passcodes and mirrors the known keys in states, without their passcodes
+ */
+
+'use strict';
+
+const KEY_TYPES = ['permanent', 'timeLimit', 'disposable', 'urgent'];
+
+// Key fields mirrored in the keys state, passwords are never stored
+const KEY_FIELDS = ['id', 'name', 'type', 'status', 'createTime', 'startTime', 'endTime'];
+
+class KeypadManager {
+    /**
+     * @param {object} adapter - Adapter instance
+     * @param {object} api - SwitchBot API client
+     */
+    constructor(adapter, api) {
+        this.adapter = adapter;
+        this.api = api;
+        this.log = adapter.log;
+    }
+
+    /**
+     * Create the key states of a keypad
+     * @param {string} deviceId - Device ID of the keypad
+     * @param {object[]} [keyList] - Key list reported with the device
+     */
+    async createStates(deviceId, keyList) {
+        await this.adapter.setObjectNotExistsAsync(`${deviceId}.keys`, {
+            type: 'state',
+            common: {
+                name: 'Known passcodes (without codes)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+                def: '[]'
+            },
+            native: {}
+        });
+
+        await this.adapter.setObjectNotExistsAsync(`${deviceId}.lastKeyEvent`, {
+            type: 'state',
+            common: {
+                name: 'Result of the last passcode change',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+
+        if (keyList) {
+            await this.updateKeys(deviceId, keyList);
+        }
+    }
+
+    /**
+     * Write the key list of a keypad without passwords
+     * @param {string} deviceId - Device ID of the keypad
+     * @param {object[]} keyList - Key list reported with the device
+     * @returns {Promise<object[]>} - Keys without passwords
+     */
+    async updateKeys(deviceId, keyList) {
+        const keys = (keyList || []).map(key => {
+            const entry = {};
+            for (const field of KEY_FIELDS) {
+                if (key[field] !== undefined) {
+                    entry[field] = key[field];
+                }
+            }
+            return entry;
+        });
+
+        await this.adapter.setStateChangedAsync(`${deviceId}.keys`, JSON.stringify(keys), true);
+        return keys;
+    }
+
+    /**
+     * Fetch the current key list of a keypad from the device list
+     * @param {string} deviceId - Device ID of the keypad
+     * @returns {Promise<object[]>} - Keys without passwords
+     */
+    async listKeys(deviceId) {
+        const deviceData = await this.api.getDevices();
+        const device = deviceData.deviceList.find(entry => entry.deviceId === deviceId);
+        if (!device) {
+            throw new Error(`Keypad ${deviceId} not found`);
+        }
+        return this.updateKeys(deviceId, device.keyList);
+    }
+
+    /**
+     * Convert a time to seconds since epoch
+     * @param {any} value - Seconds, milliseconds (also as digit strings), Date or date string
+     * @param {string} field - Field name for error messages
+     * @returns {number}
+     */
+    toSeconds(value, field) {
+        const isDate = value instanceof Date || (typeof value === 'string' && !/^\d+$/.test(value.trim()));
+        const time = isDate ? new Date(value).getTime() : Number(value);
+        if (!Number.isFinite(time) || time <= 0) {
+            throw new Error(`Invalid ${field}: expected a time`);
+        }
+        // Values above 1e11 are milliseconds
+        return Math.floor(time > 1e11 ? time / 1000 : time);
+    }
+
+    /**
+     * Build the createKey parameter from the message options
+     * @param {object} options - name, type, password and for timeLimit/disposable keys startTime and endTime
+     * @returns {object} - createKey parameter
+     */
+    buildKey(options) {
+        const { name, type = 'permanent', password } = options;
+
+        if (!name || typeof name !== 'string') {
+            throw new Error('Passcode name is required');
+        }
+        if (!KEY_TYPES.includes(type)) {
+            throw new Error(`Invalid passcode type ${type}: expected one of ${KEY_TYPES.join(', ')}`);
+        }
+        if (!/^\d{6,12}$/.test(String(password))) {
+            throw new Error('Passcode must have 6 to 12 digits');
+        }
+
+        const key = { name, type, password: String(password) };
+
+        if (type === 'timeLimit' || type === 'disposable') {
+            key.startTime = this.toSeconds(options.startTime, 'startTime');
+            key.endTime = this.toSeconds(options.endTime, 'endTime');
+            if (key.endTime <= key.startTime) {
+                throw new Error('endTime must be after startTime');
+            }
+        }
+
+        return key;
+    }
+
+    /**
+     * Create a passcode; the result arrives later as webhook event
+     * @param {string} deviceId - Device ID of the keypad
+     * @param {object} options - Passcode options, see buildKey
+     * @returns {Promise<object>} - Response body of the command
+     */
+    async createKey(deviceId, options) {
+        const parameter = this.buildKey(options);
+        const response = await this.api.sendCommand(deviceId, {
+            command: 'createKey',
+            parameter
+        });
+        this.log.info(`Passcode ${parameter.name} (${parameter.type}) requested for keypad ${deviceId}`);
+        return response.body || {};
+    }
+
+    /**
+     * Delete a passcode; the result arrives later as webhook event
+     * @param {string} deviceId - Device ID of the keypad
+     * @param {number|string} id - Key ID from the key list
+     * @returns {Promise<object>} - Response body of the command
+     */
+    async deleteKey(deviceId, id) {
+        if (id === undefined || id === null || id === '') {
+            throw new Error('Key ID is required');
+        }
+        const response = await this.api.sendCommand(deviceId, {
+            command: 'deleteKey',
+            parameter: { id: Number(id) }
+        });
+        this.log.info(`Deletion of passcode ${id} requested for keypad ${deviceId}`);
+        return response.body || {};
+    }
+
+    /**
+     * Handle the result of a createKey or deleteKey command reported by webhook
+     * @param {string} deviceId - Device ID of the keypad
+     * @param {object} context - Webhook event context
+     */
+    async handleEvent(deviceId, context) {
+        const event = {
+            eventName: context.eventName,
+            commandId: context.commandId,
+            result: context.result,
+            time: context.timeOfSample || Date.now()
+        };
+
+        if (event.result === 'success') {
+            this.log.info(`Keypad ${deviceId}: ${event.eventName} succeeded`);
+        } else {
+            this.log.warn(`Keypad ${deviceId}: ${event.eventName} failed (${event.result})`);
+        }
+
+        await this.adapter.setStateAsync(`${deviceId}.lastKeyEvent`, JSON.stringify(event), true);
+
+        // The key list only changes on success
+        if (event.result === 'success') {
+            await this.listKeys(deviceId);
+        }
+    }
+}
+
+module.exports = KeypadManager;
@@ -0,0 +1,199 @@
+/**
+ * Poll Scheduler
+ *
+ * Polls each device on its own interval, resolved per device, per device type and globally
+ */
+
+'use strict';
+
+class PollScheduler {
+    /**
+     * @param {object} adapter - Adapter instance
+     * @param {object} options
+     * @param {number} options.defaultInterval - Global poll interval in ms
+     * @param {Array<{type: string, interval: number}>} [options.typeIntervals] - Intervals in seconds per family or device type
+     * @param {Array<{deviceId: string, interval: number}>} [options.deviceIntervals] - Intervals in seconds per device, 0 disables polling
+     * @param {object} options.quotaManager - Quota manager used to stretch the intervals
+     * @param {(deviceId: string) => Promise<void>} options.pollDevice - Polls one device
+     */
+    constructor(adapter, options) {
+        this.adapter = adapter;
+        this.log = adapter.log;
+        this.defaultInterval = options.defaultInterval;
+        this.quotaManager = options.quotaManager;
+        this.pollDevice = options.pollDevice;
+        this.typeIntervals = new Map();
+        this.deviceIntervals = new Map();
+        this.entries = new Map();
+        this.timer = null;
+        this.running = false;
+        this.stopped = false;
+        this.stretch = 1;
+        this.stretchState = null;
+
+        for (const row of options.typeIntervals || []) {
+            if (row && row.type) {
+                this.typeIntervals.set(String(row.type).trim().toLowerCase(), Number(row.interval) * 1000);
+            }
+        }
+
+        for (const row of options.deviceIntervals || []) {
+            if (row && row.deviceId) {
+                this.deviceIntervals.set(String(row.deviceId).trim().toUpperCase(), Number(row.interval) * 1000);
+            }
+        }
+    }
+
+    /**
+     * Resolve the poll interval of a device
+     * @param {object} device - Device entry with deviceId, type and family
+     * @returns {number} - Interval in ms, 0 if the device is not polled
+     */
+    resolveInterval(device) {
+        const deviceInterval = this.deviceIntervals.get(String(device.deviceId).toUpperCase());
+        if (deviceInterval !== undefined) {
+            return deviceInterval;
+        }
+
+        const typeInterval = this.typeIntervals.get(String(device.type).toLowerCase());
+        if (typeInterval !== undefined) {
+            return typeInterval;
+        }
+
+        if (device.family) {
+            const familyInterval = this.typeIntervals.get(device.family);
+            if (familyInterval !== undefined) {
+                return familyInterval;
+            }
+        }
+
+        return this.defaultInterval;
+    }
+
+    /**
+     * Set the devices to poll, keeping the schedule of known devices
+     * @param {object[]} devices - Device entries with deviceId, type and family
+     */
+    setDevices(devices) {
+        const now = Date.now();
+        const entries = new Map();
+
+        for (const device of devices) {
+            const interval = this.resolveInterval(device);
+            if (!interval) {
+                this.log.debug(`Polling disabled for device ${device.deviceId}`);
+                continue;
+            }
+
+            // New devices are polled right away to fill their states
+            const entry = this.entries.get(device.deviceId) || { nextDue: now };
+            entry.interval = interval;
+            entries.set(device.deviceId, entry);
+            this.log.debug(`Polling device ${device.deviceId} (${device.type}) every ${interval / 1000}s`);
+        }
+
+        this.entries = entries;
+        this.updateStretch();
+        this.schedule();
+    }
+
+    /**
+     * Recalculate how much the intervals have to be stretched to stay within the daily budget
+     */
+    updateStretch() {
+        let requestsPerMs = 0;
+        for (const entry of this.entries.values()) {
+            requestsPerMs += 1 / entry.interval;
+        }
+
+        const stretch = this.quotaManager.getPollStretch(requestsPerMs);
+        const rounded = Number.isFinite(stretch) ? Math.round(stretch * 100) / 100 : -1;
+
+        if (rounded !== this.stretchState) {
+            if (rounded === -1) {
+                this.log.warn('Daily API budget for polling used up, polling paused until tomorrow');
+            } else if (rounded > 1 && !(this.stretch > 1)) {
+                this.log.info(`Poll intervals stretched by factor ${rounded} to stay within the daily API budget`);
+            } else if (rounded === 1 && this.stretch !== 1) {
+                this.log.info('Poll intervals back to their configured values');
+            }
+            this.stretchState = rounded;
+            this.adapter.setState('info.pollStretchFactor', rounded, true);
+        }
+
+        this.stretch = stretch;
+    }
+
+    /**
+     * Get the time until a device is polled again
+     * @param {object} entry - Schedule entry
+     * @returns {number} - Delay in ms
+     */
+    getNextDelay(entry) {
+        if (!Number.isFinite(this.stretch)) {
+            // Budget for polling used up: wait for the next day
+            return this.quotaManager.getTimeUntilRollOver();
+        }
+        return Math.round(entry.interval * this.stretch);
+    }
+
+    /**
+     * Arm the timer for the next due device
+     */
+    schedule() {
+        if (this.timer) {
+            this.adapter.clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.stopped || this.running || this.entries.size === 0) {
+            return;
+        }
+
+        const nextDue = Math.min(...Array.from(this.entries.values()).map(entry => entry.nextDue));
+        const delay = Math.max(0, nextDue - Date.now());
+
+        this.timer = this.adapter.setTimeout(() => {
+            this.timer = null;
+            this.run().catch(error => this.log.warn(`Poll cycle failed: ${error.message}`));
+        }, delay);
+    }
+
+    /**
+     * Poll all devices that are due
+     */
+    async run() {
+        this.running = true;
+
+        try {
+            // The budget may have been reset since the last cycle, e.g. at midnight
+            this.updateStretch();
+
+            for (const [deviceId, entry] of this.entries) {
+                if (this.stopped) break;
+                if (entry.nextDue > Date.now()) continue;
+
+                await this.pollDevice(deviceId);
+                entry.nextDue = Date.now() + this.getNextDelay(entry);
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.updateStretch();
+        this.schedule();
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            this.adapter.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = PollScheduler;
@@ -0,0 +1,108 @@
+/**
+ * Device Profile Registry
+ *
+ * Loads the device profiles from lib/profiles and resolves them per device type
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class ProfileRegistry {
+    /**
+     * @param {object} log - Adapter logger
+     * @param {string} [directory] - Directory containing the profile modules
+     */
+    constructor(log, directory = path.join(__dirname, 'profiles')) {
+        this.log = log;
+        this.profiles = new Map();
+        this.loadProfiles(directory);
+    }
+
+    /**
+     * Load all profile modules from a directory
+     * @param {string} directory - Directory containing the profile modules
+     */
+    loadProfiles(directory) {
+        const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+
+        for (const file of files) {
+            const profile = require(path.join(directory, file));
+
+            // Helper modules such as common.js do not declare models
+            if (!profile.models) continue;
+
+            this.registerProfile(profile);
+        }
+
+        this.log.debug(`Loaded device profiles for ${this.profiles.size} device types`);
+    }
+
+    /**
+     * Register a device family profile for all of its models
+     * @param {object} profile - Profile with family, models, states and commands
+     */
+    registerProfile(profile) {
+        for (const [deviceType, model] of Object.entries(profile.models)) {
+            if (this.profiles.has(deviceType)) {
+                this.log.warn(`Device type ${deviceType} of profile ${profile.family} overrides profile ${this.profiles.get(deviceType).family}`);
+            }
+
+            this.profiles.set(deviceType, {
+                family: profile.family,
+                deviceType,
+                poll: profile.poll !== false,
+                // Webhook context fields named differently than in the status
+                webhook: model.webhook || {},
+                states: this.resolveDefinitions(profile.family, profile.states, model.states),
+                commands: this.resolveDefinitions(profile.family, profile.commands, model.commands)
+            });
+        }
+    }
+
+    /**
+     * Pick the definitions a model uses from the family definitions
+     * @param {string} family - Family name for error messages
+     * @param {object} definitions - Family definitions by name
+     * @param {string[]|object} [selection] - Names, or definitions merged over the family ones
+     * @returns {object} - Definitions by name
+     */
+    resolveDefinitions(family, definitions = {}, selection = []) {
+        const resolved = {};
+
+        if (Array.isArray(selection)) {
+            for (const name of selection) {
+                if (!definitions[name]) {
+                    throw new Error(`Profile ${family} has no definition for ${name}`);
+                }
+                resolved[name] = definitions[name];
+            }
+        } else {
+            for (const [name, definition] of Object.entries(selection)) {
+                resolved[name] = { ...definitions[name], ...definition };
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Get the resolved profile for a device type
+     * @param {string} deviceType - Device type as reported by the API
+     * @returns {object|null} - Profile or null if the device type is not supported
+     */
+    getProfile(deviceType) {
+        return this.profiles.get(deviceType) || null;
+    }
+
+    /**
+     * Get all supported device types
+     * @returns {string[]}
+     */
+    getDeviceTypes() {
+        return Array.from(this.profiles.keys());
+    }
+}
+
+module.exports = ProfileRegistry;
@@ -0,0 +1,26 @@
+/**
+ * Bot Profile
+ */
+
+'use strict';
+
+const common = require('./common');
+
+module.exports = {
+    family: 'bot',
+    models: {
+        'Bot': {
+            states: ['power', 'battery', 'deviceMode'],
+            commands: ['turnOn', 'turnOff', 'press']
+        }
+    },
+    states: {
+        power: common.states.power,
+        battery: common.states.battery,
+        deviceMode: { type: 'string', role: 'text', states: { pressMode: 'Press', switchMode: 'Switch', customizeMode: 'Customize' } }
+    },
+    commands: {
+        ...common.commands,
+        press: {}
+    }
+};
@@ -0,0 +1,136 @@
+/**
+ * Climate Appliance Profile
+ *
+ * Air purifiers, the evaporative humidifier (Humidifier2) and the battery circulator fan
+ */
+
+'use strict';
+
+const common = require('./common');
+
+const purifierModes = { 1: 'Fan', 2: 'Auto', 3: 'Sleep', 4: 'Pet' };
+const humidifierModes = { 1: 'Level 4', 2: 'Level 3', 3: 'Level 2', 4: 'Level 1', 5: 'Target humidity', 6: 'Sleep', 7: 'Auto', 8: 'Drying' };
+const windModes = { direct: 'Direct', natural: 'Natural', sleep: 'Sleep', baby: 'Baby' };
+const nightLightModes = { 0: 'Off', 1: 'Mode 1', 2: 'Mode 2' };
+
+const purifierModel = {
+    states: {
+        power: {},
+        mode: { states: purifierModes },
+        // Reported as 0/1
+        childLock: { convert: value => Number(value) === 1 }
+    },
+    commands: ['turnOn', 'turnOff', 'setMode', 'fanGear', 'setChildLock']
+};
+
+/**
+ * Check a mode value against the modes of a model
+ * @param {object} modes - Mode names by value
+ * @returns {(value: any) => number}
+ */
+function mode(modes) {
+    return value => Number(common.oneOf(Object.keys(modes))(value));
+}
+
+module.exports = {
+    family: 'climate',
+    models: {
+        'Air Purifier VOC': purifierModel,
+        'Air Purifier PM2.5': purifierModel,
+        'Air Purifier Table VOC': purifierModel,
+        'Air Purifier Table PM2.5': purifierModel,
+        'Humidifier2': {
+            states: {
+                power: {},
+                humidity: {},
+                mode: { states: humidifierModes },
+                drying: {},
+                childLock: {},
+                filterElement: {},
+                filterHoursLeft: {}
+            },
+            commands: {
+                turnOn: {},
+                turnOff: {},
+                setMode: { parameter: (value, device) => ({ mode: mode(humidifierModes)(value), targetHumidify: Number((device.controls && device.controls.targetHumidity) || 50) }) },
+                targetHumidity: {},
+                setChildLock: { parameter: value => !!value }
+            }
+        },
+        'Battery Circulator Fan': {
+            states: {
+                power: {},
+                mode: { type: 'string', role: 'level.mode.fan', states: windModes, name: 'Wind mode', command: 'setWindMode' },
+                fanSpeed: {},
+                nightStatus: {},
+                oscillation: {},
+                verticalOscillation: {},
+                chargingStatus: {},
+                battery: {}
+            },
+            commands: ['turnOn', 'turnOff', 'setWindMode', 'setWindSpeed', 'setNightLightMode']
+        }
+    },
+    states: {
+        power: { ...common.states.power, write: true, command: value => (value ? 'turnOn' : 'turnOff') },
+        humidity: common.states.humidity,
+        battery: common.states.battery,
+        // The models report mode and childLock with different values, see the model overrides
+        mode: { type: 'number', role: 'level.mode', name: 'Mode', write: true, command: 'setMode' },
+        childLock: { type: 'boolean', role: 'switch.lock', name: 'Child lock', write: true, command: 'setChildLock' },
+        drying: { type: 'boolean', role: 'indicator.working', name: 'Drying' },
+        filterElement: { type: 'string', role: 'json', name: 'Filter usage' },
+        filterHoursLeft: {
+            type: 'number',
+            role: 'value',
+            unit: 'h',
+            name: 'Filter hours left',
+            source: 'filterElement',
+            convert: value => Math.max(0, value.effectiveUsageHours - value.usedHours)
+        },
+        fanSpeed: { type: 'number', role: 'level.speed', unit: '%', min: 1, max: 100, name: 'Fan speed', write: true, command: 'setWindSpeed' },
+        nightStatus: { type: 'number', role: 'level.mode', states: nightLightModes, name: 'Night light', write: true, command: 'setNightLightMode' },
+        oscillation: { type: 'boolean', role: 'indicator', name: 'Horizontal oscillation', convert: common.onOff },
+        verticalOscillation: { type: 'boolean', role: 'indicator', name: 'Vertical oscillation', convert: common.onOff },
+        chargingStatus: { type: 'string', role: 'text', states: { charging: 'Charging', uncharged: 'Not charging' }, name: 'Charging' }
+    },
+    commands: {
+        ...common.commands,
+        setMode: {
+            parameter: (value, device) => {
+                const purifierMode = mode(purifierModes)(value);
+                const fanGear = Number((device.controls && device.controls.fanGear) || 1);
+                return purifierMode === 1 ? { mode: purifierMode, fanGear } : { mode: purifierMode };
+            }
+        },
+        fanGear: {
+            command: 'setMode',
+            type: 'number',
+            role: 'level.mode.fan',
+            states: { 1: 'Low', 2: 'Medium', 3: 'High' },
+            stateful: true,
+            parameter: value => ({ mode: 1, fanGear: Number(common.oneOf([1, 2, 3])(value)) }),
+            desc: 'Fan gear, switches to fan mode'
+        },
+        targetHumidity: {
+            command: 'setMode',
+            type: 'number',
+            role: 'level.humidity',
+            unit: '%',
+            min: 0,
+            max: 100,
+            stateful: true,
+            parameter: value => ({ mode: 5, targetHumidify: common.numberInRange(0, 100)(value) }),
+            desc: 'Target humidity, switches to target humidity mode'
+        },
+        setChildLock: { parameter: value => (value ? 1 : 0) },
+        setWindMode: { parameter: common.oneOf(Object.keys(windModes)) },
+        setWindSpeed: { parameter: common.numberInRange(1, 100) },
+        setNightLightMode: {
+            parameter: value => {
+                const nightLight = mode(nightLightModes)(value);
+                return nightLight === 0 ? 'off' : String(nightLight);
+            }
+        }
+    }
+};
@@ -0,0 +1,88 @@
+/**
+ * Common Profile Definitions
+ *
+ * Shared state converters, command encoders and state definitions used by the device profiles
+ */
+
+'use strict';
+
+/**
+ * Convert 'on'/'off' status values to boolean
+ * @param {any} value - Status value
+ * @returns {boolean}
+ */
+function onOff(value) {
+    return value === true || String(value).toLowerCase() === 'on';
+}
+
+/**
+ * Create an encoder that accepts numbers within a range
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {(value: any) => number}
+ */
+function numberInRange(min, max) {
+    return value => {
+        const number = Number(value);
+        if (value === '' || value === null || !Number.isFinite(number) || number < min || number > max) {
+            throw new Error(`Invalid value ${value}: expected a number between ${min} and ${max}`);
+        }
+        return number;
+    };
+}
+
+/**
+ * Create an encoder that accepts one of the given values
+ * @param {Array<string|number>} allowed - Allowed values
+ * @returns {(value: any) => string|number}
+ */
+function oneOf(allowed) {
+    return value => {
+        const match = allowed.find(entry => String(entry) === String(value));
+        if (match === undefined) {
+            throw new Error(`Invalid value ${value}: expected one of ${allowed.join(', ')}`);
+        }
+        return match;
+    };
+}
+
+/**
+ * Encode a color as 'r:g:b', accepts 'r:g:b' and '#rrggbb'
+ * @param {any} value - Color value
+ * @returns {string}
+ */
+function rgbColor(value) {
+    const text = String(value).trim();
+
+    const hex = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(text);
+    if (hex) {
+        return hex.slice(1).map(part => parseInt(part, 16)).join(':');
+    }
+
+    const parts = text.split(':').map(Number);
+    if (parts.length !== 3 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+        throw new Error(`Invalid color ${value}: expected r:g:b or #rrggbb`);
+    }
+    return parts.join(':');
+}
+
+const states = {
+    power: { type: 'boolean', role: 'switch.power', convert: onOff },
+    battery: { type: 'number', role: 'value.battery', unit: '%', min: 0, max: 100 },
+    temperature: { type: 'number', role: 'value.temperature', unit: '°C' },
+    humidity: { type: 'number', role: 'value.humidity', unit: '%', min: 0, max: 100 }
+};
+
+const commands = {
+    turnOn: { expect: () => ({ power: 'on' }) },
+    turnOff: { expect: () => ({ power: 'off' }) }
+};
+
+module.exports = {
+    onOff,
+    numberInRange,
+    oneOf,
+    rgbColor,
+    states,
+    commands
+};
@@ -0,0 +1,116 @@
+/**
+ * Curtain Profile
+ *
+ * Window coverings: Curtain, Curtain 3, Blind Tilt and Roller Shade
+ */
+
+'use strict';
+
+const common = require('./common');
+
+const positionModes = { ff: 'Default', 0: 'Performance', 1: 'Silent' };
+
+/**
+ * Encode a Blind Tilt position as 'direction;position'
+ * @param {any} value - 'up;60', 'down;40' or a position (direction up)
+ * @returns {string}
+ */
+function tiltPosition(value) {
+    const [direction, position] = String(value).includes(';') ? String(value).split(';') : ['up', value];
+    if (direction !== 'up' && direction !== 'down') {
+        throw new Error(`Invalid direction ${direction}: expected up or down`);
+    }
+    // The Blind Tilt only accepts even positions
+    return `${direction};${Math.round(common.numberInRange(0, 100)(position) / 2) * 2}`;
+}
+
+module.exports = {
+    family: 'curtain',
+    models: {
+        'Curtain': {
+            states: ['slidePosition', 'blindLevel', 'moving', 'calibrate', 'group', 'battery'],
+            commands: ['turnOn', 'turnOff', 'pause', 'setPosition', 'positionMode']
+        },
+        'Curtain3': {
+            states: ['slidePosition', 'blindLevel', 'moving', 'calibrate', 'group', 'battery'],
+            commands: ['turnOn', 'turnOff', 'pause', 'setPosition', 'positionMode']
+        },
+        'Blind Tilt': {
+            states: {
+                slidePosition: { role: 'value.tilt', name: 'Tilt position' },
+                direction: {},
+                moving: {},
+                calibrate: {},
+                group: {},
+                battery: {}
+            },
+            commands: ['tiltPosition', 'fullyOpen', 'closeUp', 'closeDown']
+        },
+        'Roller Shade': {
+            states: ['slidePosition', 'blindLevel', 'moving', 'calibrate', 'battery'],
+            commands: {
+                setPosition: { parameter: common.numberInRange(0, 100) }
+            }
+        }
+    },
+    states: {
+        // SwitchBot counts 0 = open, 100 = closed
+        slidePosition: { type: 'number', role: 'value', unit: '%', min: 0, max: 100, name: 'Position (0 = open)' },
+        // ioBroker blind roles count the other way round: 100 = open
+        blindLevel: {
+            type: 'number',
+            role: 'level.blind',
+            unit: '%',
+            min: 0,
+            max: 100,
+            name: 'Blind level (100 = open)',
+            source: 'slidePosition',
+            convert: value => 100 - Number(value),
+            write: true,
+            command: 'setPosition',
+            toCommand: value => 100 - Number(value)
+        },
+        direction: { type: 'string', role: 'text', states: { up: 'Up', down: 'Down' }, name: 'Tilt direction' },
+        moving: { type: 'boolean', role: 'indicator.working', name: 'Moving' },
+        calibrate: { type: 'boolean', role: 'indicator', name: 'Calibrated' },
+        group: { type: 'boolean', role: 'indicator', name: 'Grouped' },
+        battery: common.states.battery
+    },
+    commands: {
+        turnOn: { role: 'button.open.blind', name: 'Open', expect: () => ({ slidePosition: 0, moving: false }) },
+        turnOff: { role: 'button.close.blind', name: 'Close', expect: () => ({ slidePosition: 100, moving: false }) },
+        pause: { role: 'button.stop.blind', name: 'Stop', expect: () => ({ moving: false }) },
+        setPosition: {
+            type: 'number',
+            role: 'level',
+            unit: '%',
+            min: 0,
+            max: 100,
+            parameter: (value, device) => {
+                const mode = (device.controls && device.controls.positionMode) || 'ff';
+                return `0,${mode},${common.numberInRange(0, 100)(value)}`;
+            },
+            expect: value => ({ slidePosition: Number(value), moving: false }),
+            desc: 'Move to position (0 = open, 100 = closed), speed from positionMode'
+        },
+        positionMode: {
+            type: 'string',
+            role: 'level.mode',
+            states: positionModes,
+            def: 'ff',
+            setting: true,
+            parameter: value => common.oneOf(Object.keys(positionModes))(value),
+            desc: 'Speed mode used by setPosition'
+        },
+        tiltPosition: {
+            command: 'setPosition',
+            type: 'string',
+            role: 'text',
+            parameter: tiltPosition,
+            desc: 'Tilt direction and position, e.g. up;60 or down;40'
+        },
+        fullyOpen: { role: 'button.open.blind', name: 'Open' },
+        closeUp: { role: 'button.close.blind', name: 'Close up' },
+        closeDown: { role: 'button', name: 'Close down' }
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Garage Door Opener Profile
+ */
+
+'use strict';
+
+module.exports = {
+    family: 'garage',
+    models: {
+        'Garage Door Opener': {
+            states: ['doorStatus', 'doorOpen', 'gate'],
+            commands: ['open', 'close']
+        }
+    },
+    states: {
+        doorStatus: { type: 'number', role: 'value', states: { 0: 'Open', 1: 'Closed' }, name: 'Door status' },
+        doorOpen: {
+            type: 'boolean',
+            role: 'sensor.door',
+            name: 'Door open',
+            source: 'doorStatus',
+            convert: value => Number(value) === 0
+        },
+        gate: {
+            type: 'boolean',
+            role: 'switch.gate',
+            name: 'Garage door',
+            source: 'doorStatus',
+            convert: value => Number(value) === 0,
+            write: true,
+            command: value => (value ? 'open' : 'close')
+        }
+    },
+    commands: {
+        open: { command: 'turnOn', guarded: true, type: 'mixed', name: 'Open', expect: () => ({ doorStatus: 0 }), desc: 'Open, write the confirmation code if unlock protection uses one' },
+        close: { command: 'turnOff', name: 'Close', expect: () => ({ doorStatus: 1 }) }
+    }
+};
@@ -0,0 +1,73 @@
+/**
+ * Humidifier Profile
+ */
+
+'use strict';
+
+const common = require('./common');
+
+// Atomization levels 101-103 run at 34%, 67% and 100%
+const modes = { auto: 'Auto', 101: 'Level 1 (34%)', 102: 'Level 2 (67%)', 103: 'Level 3 (100%)' };
+const encodeMode = common.oneOf(Object.keys(modes));
+const encodeTargetHumidity = common.numberInRange(0, 100);
+
+/**
+ * Encode a setMode value: a mode or a target humidity in %
+ * @param {any} value - 'auto', 101-103 or 0-100
+ * @returns {string}
+ */
+function encodeSetMode(value) {
+    const mode = Object.keys(modes).find(entry => entry === String(value).trim().toLowerCase());
+    if (mode) {
+        return mode;
+    }
+    try {
+        return String(encodeTargetHumidity(value));
+    } catch {
+        throw new Error(`Invalid value ${value}: expected auto, 101, 102, 103 or a target humidity between 0 and 100`);
+    }
+}
+
+module.exports = {
+    family: 'humidifier',
+    models: {
+        'Humidifier': {
+            states: ['power', 'humidity', 'temperature', 'nebulizationEfficiency', 'auto', 'childLock', 'sound', 'lackWater'],
+            commands: ['turnOn', 'turnOff', 'setMode', 'mode', 'targetHumidity']
+        }
+    },
+    states: {
+        power: common.states.power,
+        humidity: common.states.humidity,
+        temperature: common.states.temperature,
+        nebulizationEfficiency: { type: 'number', role: 'value', unit: '%', min: 0, max: 100 },
+        auto: { type: 'boolean', role: 'indicator', name: 'Auto mode' },
+        childLock: { type: 'boolean', role: 'indicator', name: 'Child lock' },
+        sound: { type: 'boolean', role: 'indicator', name: 'Sound' },
+        lackWater: { type: 'boolean', role: 'indicator.maintenance' }
+    },
+    commands: {
+        ...common.commands,
+        setMode: { parameter: encodeSetMode, desc: 'auto, 101-103 or a target humidity of 0-100' },
+        mode: {
+            command: 'setMode',
+            type: 'string',
+            role: 'level.mode',
+            states: modes,
+            stateful: true,
+            parameter: value => encodeMode(String(value).trim().toLowerCase()),
+            name: 'Mode'
+        },
+        targetHumidity: {
+            command: 'setMode',
+            type: 'number',
+            role: 'level.humidity',
+            unit: '%',
+            min: 0,
+            max: 100,
+            stateful: true,
+            parameter: value => String(encodeTargetHumidity(value)),
+            name: 'Target humidity'
+        }
+    }
+};
@@ -0,0 +1,84 @@
+/**
+ * Air Conditioner Remote Profile
+ *
+ * Air conditioners only accept all settings at once (setAll), so every control sends the last values of the others
+ */
+
+'use strict';
+
+const common = require('../common');
+
+const modes = { 1: 'auto', 2: 'cool', 3: 'dry', 4: 'fan', 5: 'heat' };
+const fanSpeeds = { 1: 'auto', 2: 'low', 3: 'medium', 4: 'high' };
+const defaults = { power: true, temperature: 26, mode: 1, fanSpeed: 1 };
+
+const encoders = {
+    power: value => !!value,
+    temperature: common.numberInRange(16, 30),
+    mode: value => Number(common.oneOf(Object.keys(modes))(value)),
+    fanSpeed: value => Number(common.oneOf(Object.keys(fanSpeeds))(value))
+};
+
+/**
+ * Create the setAll encoder for one control
+ * @param {string} name - Control written
+ * @returns {(value: any, device: object) => string} - Parameter 'temperature,mode,fanSpeed,on|off'
+ */
+function setAll(name) {
+    return (value, device) => {
+        const values = { ...defaults, ...device.controls, [name]: encoders[name](value) };
+        return `${values.temperature},${values.mode},${values.fanSpeed},${values.power ? 'on' : 'off'}`;
+    };
+}
+
+module.exports = {
+    family: 'airConditioner',
+    models: {
+        'Air Conditioner': {
+            commands: ['power', 'temperature', 'mode', 'fanSpeed']
+        }
+    },
+    commands: {
+        power: {
+            name: 'Power',
+            type: 'boolean',
+            role: 'switch.power',
+            stateful: true,
+            def: defaults.power,
+            command: 'setAll',
+            parameter: setAll('power')
+        },
+        temperature: {
+            name: 'Target temperature',
+            type: 'number',
+            role: 'level.temperature',
+            unit: '°C',
+            min: 16,
+            max: 30,
+            stateful: true,
+            def: defaults.temperature,
+            command: 'setAll',
+            parameter: setAll('temperature')
+        },
+        mode: {
+            name: 'Mode',
+            type: 'number',
+            role: 'level.mode.airconditioner',
+            states: modes,
+            stateful: true,
+            def: defaults.mode,
+            command: 'setAll',
+            parameter: setAll('mode')
+        },
+        fanSpeed: {
+            name: 'Fan speed',
+            type: 'number',
+            role: 'level.mode.fan',
+            states: fanSpeeds,
+            stateful: true,
+            def: defaults.fanSpeed,
+            command: 'setAll',
+            parameter: setAll('fanSpeed')
+        }
+    }
+};
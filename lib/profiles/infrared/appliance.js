@@ -0,0 +1,25 @@
+/**
+ * Generic Appliance Remote Profile
+ *
+ * Appliance types without further commands in the SwitchBot command table
+ */
+
+'use strict';
+
+const infrared = require('./common');
+
+const applianceCommands = ['power', 'turnOn', 'turnOff'];
+
+module.exports = {
+    family: 'appliance',
+    models: {
+        'Projector': { commands: applianceCommands },
+        'Camera': { commands: applianceCommands },
+        'Air Purifier': { commands: applianceCommands },
+        'Water Heater': { commands: applianceCommands },
+        'Robot Vacuum Cleaner': { commands: applianceCommands }
+    },
+    commands: {
+        ...infrared.commands
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Common Infrared Definitions
+ *
+ * Shared controls of infrared remotes. Remotes have no status, so stateful controls keep the last value sent.
+ */
+
+'use strict';
+
+const commands = {
+    // stateful: the state keeps the value last sent and is acknowledged after sending
+    power: {
+        type: 'boolean',
+        role: 'switch.power',
+        stateful: true,
+        command: value => (value ? 'turnOn' : 'turnOff'),
+        desc: 'Turn on (true) or off (false)'
+    },
+    turnOn: {},
+    turnOff: {}
+};
+
+module.exports = {
+    commands
+};
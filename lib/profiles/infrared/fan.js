@@ -0,0 +1,24 @@
+/**
+ * Fan Remote Profile
+ */
+
+'use strict';
+
+const infrared = require('./common');
+
+module.exports = {
+    family: 'fan',
+    models: {
+        'Fan': {
+            commands: ['power', 'turnOn', 'turnOff', 'swing', 'timer', 'lowSpeed', 'middleSpeed', 'highSpeed']
+        }
+    },
+    commands: {
+        ...infrared.commands,
+        swing: { name: 'Swing' },
+        timer: { name: 'Timer' },
+        lowSpeed: { name: 'Low speed' },
+        middleSpeed: { name: 'Medium speed' },
+        highSpeed: { name: 'High speed' }
+    }
+};
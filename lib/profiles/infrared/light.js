@@ -0,0 +1,21 @@
+/**
+ * Light Remote Profile
+ */
+
+'use strict';
+
+const infrared = require('./common');
+
+module.exports = {
+    family: 'light',
+    models: {
+        'Light': {
+            commands: ['power', 'turnOn', 'turnOff', 'brightnessUp', 'brightnessDown']
+        }
+    },
+    commands: {
+        ...infrared.commands,
+        brightnessUp: { name: 'Brightness up' },
+        brightnessDown: { name: 'Brightness down' }
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * Media Player Remote Profile
+ */
+
+'use strict';
+
+const infrared = require('./common');
+
+const mediaCommands = ['power', 'turnOn', 'turnOff', 'mute', 'play', 'pause', 'stop', 'next', 'previous', 'fastForward', 'rewind', 'volumeAdd', 'volumeSub'];
+
+module.exports = {
+    family: 'media',
+    models: {
+        'DVD': { commands: mediaCommands },
+        'Speaker': { commands: mediaCommands }
+    },
+    commands: {
+        ...infrared.commands,
+        mute: { command: 'setMute', name: 'Mute' },
+        play: { command: 'Play', role: 'button.play' },
+        pause: { command: 'Pause', role: 'button.pause' },
+        stop: { command: 'Stop', role: 'button.stop' },
+        next: { command: 'Next', role: 'button.next' },
+        previous: { command: 'Previous', role: 'button.prev' },
+        fastForward: { command: 'FastForward', role: 'button.forward' },
+        rewind: { command: 'Rewind', role: 'button.reverse' },
+        volumeAdd: { name: 'Volume up', role: 'button.volume.up' },
+        volumeSub: { name: 'Volume down', role: 'button.volume.down' }
+    }
+};
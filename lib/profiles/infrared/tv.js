@@ -0,0 +1,37 @@
+/**
+ * TV Remote Profile
+ */
+
+'use strict';
+
+const common = require('../common');
+const infrared = require('./common');
+
+const tvCommands = ['power', 'turnOn', 'turnOff', 'volumeAdd', 'volumeSub', 'channelAdd', 'channelSub', 'setChannel', 'mute'];
+
+module.exports = {
+    family: 'tv',
+    models: {
+        'TV': { commands: tvCommands },
+        'IPTV': { commands: tvCommands },
+        'Streamer': { commands: tvCommands },
+        'Set Top Box': { commands: tvCommands }
+    },
+    commands: {
+        ...infrared.commands,
+        volumeAdd: { name: 'Volume up' },
+        volumeSub: { name: 'Volume down' },
+        channelAdd: { name: 'Next channel' },
+        channelSub: { name: 'Previous channel' },
+        setChannel: {
+            command: 'SetChannel',
+            type: 'number',
+            role: 'level',
+            min: 1,
+            max: 9999,
+            parameter: value => String(common.numberInRange(1, 9999)(value)),
+            desc: 'Switch to a channel number'
+        },
+        mute: { command: 'setMute', name: 'Mute' }
+    }
+};
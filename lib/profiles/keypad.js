@@ -0,0 +1,18 @@
+/**
+ * Keypad Profile
+ *
+ * Keypads have no status to poll; passcodes are managed by the keypad manager
+ */
+
+'use strict';
+
+module.exports = {
+    family: 'keypad',
+    poll: false,
+    models: {
+        'Keypad': { states: [], commands: [] },
+        'Keypad Touch': { states: [], commands: [] }
+    },
+    states: {},
+    commands: {}
+};
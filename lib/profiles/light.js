@@ -0,0 +1,62 @@
+/**
+ * Light Profile
+ *
+ * Power, brightness, color and color temperature states are writable and send the matching command
+ */
+
+'use strict';
+
+const common = require('./common');
+
+/**
+ * Create a light model
+ * @param {string[]} features - 'color' and/or 'colorTemperature'
+ * @param {number[]} [range] - Valid color temperature in Kelvin as [min, max]
+ * @returns {object} - Model with states and commands
+ */
+function light(features, range) {
+    const states = { power: {}, brightness: {} };
+    const commands = { turnOn: {}, turnOff: {}, toggle: {}, setBrightness: {} };
+
+    if (features.includes('color')) {
+        states.color = {};
+        commands.setColor = {};
+    }
+
+    if (features.includes('colorTemperature')) {
+        const [min, max] = range;
+        states.colorTemperature = { min, max };
+        commands.setColorTemperature = { parameter: common.numberInRange(min, max) };
+    }
+
+    return { states, commands };
+}
+
+module.exports = {
+    family: 'light',
+    models: {
+        'Color Bulb': light(['color', 'colorTemperature'], [2700, 6500]),
+        'Strip Light': light(['color']),
+        'Strip Light 3': light(['color', 'colorTemperature'], [2700, 6500]),
+        'Floor Lamp': light(['color', 'colorTemperature'], [2700, 6500]),
+        'RGBICWW Strip Light': light(['color', 'colorTemperature'], [2700, 6500]),
+        'RGBICWW Floor Lamp': light(['color', 'colorTemperature'], [2700, 6500]),
+        'RGBIC Neon Rope Light': light(['color']),
+        'RGBIC Neon Wire Rope Light': light(['color']),
+        'Ceiling Light': light(['colorTemperature'], [2700, 6500]),
+        'Ceiling Light Pro': light(['colorTemperature'], [2700, 6500])
+    },
+    states: {
+        power: { ...common.states.power, write: true, command: value => (value ? 'turnOn' : 'turnOff') },
+        brightness: { type: 'number', role: 'level.dimmer', unit: '%', min: 0, max: 100, write: true, command: value => (Number(value) === 0 ? 'turnOff' : 'setBrightness') },
+        color: { type: 'string', role: 'level.color.rgb', write: true, command: 'setColor' },
+        colorTemperature: { type: 'number', role: 'level.color.temperature', unit: 'K', write: true, command: 'setColorTemperature' }
+    },
+    commands: {
+        ...common.commands,
+        toggle: {},
+        setBrightness: { parameter: common.numberInRange(1, 100), expect: value => ({ brightness: Number(value) }) },
+        setColor: { parameter: common.rgbColor, expect: value => ({ color: common.rgbColor(value) }) },
+        setColorTemperature: { expect: value => ({ colorTemperature: Number(value) }) }
+    }
+};
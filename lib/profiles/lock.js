@@ -0,0 +1,61 @@
+/**
+ * Smart Lock Profile
+ */
+
+'use strict';
+
+const common = require('./common');
+
+const lockModel = {
+    states: ['lockState', 'locked', 'lockSwitch', 'doorState', 'doorOpen', 'calibrate', 'battery'],
+    commands: ['lock', 'unlock']
+};
+
+const deadboltModel = {
+    states: lockModel.states,
+    commands: ['lock', 'unlock', 'deadbolt']
+};
+
+module.exports = {
+    family: 'lock',
+    models: {
+        'Smart Lock': lockModel,
+        'Smart Lock Pro': deadboltModel,
+        'Smart Lock Ultra': deadboltModel
+    },
+    states: {
+        lockState: { type: 'string', role: 'text', states: { locked: 'Locked', unlocked: 'Unlocked', jammed: 'Jammed' }, name: 'Lock state' },
+        locked: {
+            type: 'boolean',
+            role: 'sensor.lock',
+            name: 'Locked',
+            source: 'lockState',
+            convert: value => value === 'locked'
+        },
+        // ioBroker convention for switch.lock: true = unlocked
+        lockSwitch: {
+            type: 'boolean',
+            role: 'switch.lock',
+            name: 'Lock open',
+            source: 'lockState',
+            convert: value => value !== 'locked',
+            write: true,
+            command: value => (value ? 'unlock' : 'lock')
+        },
+        doorState: { type: 'string', role: 'text', states: { opened: 'Open', closed: 'Closed' }, name: 'Door state' },
+        doorOpen: {
+            type: 'boolean',
+            role: 'sensor.door',
+            name: 'Door open',
+            source: 'doorState',
+            convert: value => value === 'opened'
+        },
+        calibrate: { type: 'boolean', role: 'indicator', name: 'Calibrated' },
+        battery: common.states.battery
+    },
+    commands: {
+        lock: { expect: () => ({ lockState: 'locked' }) },
+        unlock: { guarded: true, type: 'mixed', expect: () => ({ lockState: 'unlocked' }), desc: 'Unlock, write the confirmation code if unlock protection uses one' },
+        deadbolt: { name: 'Deadbolt', desc: 'Extend the deadbolt only' }
+    }
+};
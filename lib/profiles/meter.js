@@ -0,0 +1,33 @@
+/**
+ * Meter Profile
+ */
+
+'use strict';
+
+const common = require('./common');
+
+const meterModel = {
+    states: ['temperature', 'humidity', 'battery'],
+    commands: []
+};
+
+module.exports = {
+    family: 'meter',
+    models: {
+        'Meter': meterModel,
+        'MeterPlus': meterModel,
+        'MeterPro': meterModel,
+        'MeterPro(CO2)': {
+            states: ['temperature', 'humidity', 'CO2', 'battery'],
+            commands: []
+        },
+        'WoIOSensor': meterModel
+    },
+    states: {
+        temperature: common.states.temperature,
+        humidity: common.states.humidity,
+        CO2: { type: 'number', role: 'value.co2', unit: 'ppm' },
+        battery: common.states.battery
+    },
+    commands: {}
+};
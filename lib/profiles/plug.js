@@ -0,0 +1,34 @@
+/**
+ * Plug Profile
+ */
+
+'use strict';
+
+const common = require('./common');
+
+const plugMiniModel = {
+    states: ['power'],
+    commands: ['turnOn', 'turnOff']
+};
+
+module.exports = {
+    family: 'plug',
+    models: {
+        'Plug': {
+            states: ['power', 'voltage', 'weight', 'electricityOfDay'],
+            commands: ['turnOn', 'turnOff']
+        },
+        'Plug Mini (US)': plugMiniModel,
+        'Plug Mini (JP)': plugMiniModel,
+        'Plug Mini (EU)': plugMiniModel
+    },
+    states: {
+        power: common.states.power,
+        voltage: { type: 'number', role: 'value.voltage', unit: 'V' },
+        weight: { type: 'number', role: 'value.power' },
+        electricityOfDay: { type: 'number', role: 'value' }
+    },
+    commands: {
+        ...common.commands
+    }
+};
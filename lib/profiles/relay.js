@@ -0,0 +1,53 @@
+/**
+ * Relay Switch Profile
+ */
+
+'use strict';
+
+const common = require('./common');
+
+const switchModes = { 0: 'Toggle', 1: 'Edge', 2: 'Detached', 3: 'Momentary' };
+
+module.exports = {
+    family: 'relay',
+    models: {
+        'Relay Switch 1': {
+            states: ['switchStatus'],
+            commands: ['turnOn', 'turnOff', 'toggle', 'switchMode']
+        },
+        'Relay Switch 1PM': {
+            states: ['switchStatus', 'voltage', 'electricCurrent', 'power', 'usedElectricity'],
+            commands: ['turnOn', 'turnOff', 'toggle', 'switchMode']
+        }
+    },
+    states: {
+        switchStatus: {
+            type: 'boolean',
+            role: 'switch',
+            name: 'Switch',
+            write: true,
+            command: value => (value ? 'turnOn' : 'turnOff'),
+            convert: value => Number(value) === 1
+        },
+        voltage: { type: 'number', role: 'value.voltage', unit: 'V', name: 'Voltage' },
+        // Reported in mA
+        electricCurrent: { type: 'number', role: 'value.current', unit: 'A', name: 'Current', convert: value => Number(value) / 1000 },
+        power: { type: 'number', role: 'value.power', unit: 'W', name: 'Power' },
+        // Reported in watt-minutes
+        usedElectricity: { type: 'number', role: 'value.power.consumption', unit: 'Wh', name: 'Energy used today', convert: value => Number(value) / 60 }
+    },
+    commands: {
+        turnOn: { expect: () => ({ switchStatus: 1 }) },
+        turnOff: { expect: () => ({ switchStatus: 0 }) },
+        toggle: {},
+        switchMode: {
+            command: 'setMode',
+            type: 'number',
+            role: 'level.mode',
+            states: switchModes,
+            stateful: true,
+            parameter: value => Number(common.oneOf(Object.keys(switchModes))(value)),
+            desc: 'Mode of the wall switch input'
+        }
+    }
+};
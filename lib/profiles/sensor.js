@@ -0,0 +1,71 @@
+/**
+ * Sensor Profile
+ *
+ * Motion, contact, presence and water leak sensors, and hubs with built-in climate sensors
+ */
+
+'use strict';
+
+const common = require('./common');
+
+module.exports = {
+    family: 'sensor',
+    models: {
+        'Motion Sensor': {
+            states: ['moveDetected', 'brightness', 'battery'],
+            commands: [],
+            webhook: { detectionState: 'moveDetected' }
+        },
+        'Contact Sensor': {
+            states: ['openState', 'moveDetected', 'brightness', 'battery'],
+            commands: [],
+            webhook: { detectionState: 'moveDetected' }
+        },
+        'Presence Sensor': {
+            states: ['detectionState', 'occupied', 'lightLevel', 'battery'],
+            commands: []
+        },
+        'Water Detector': {
+            states: ['status', 'leak', 'battery'],
+            commands: [],
+            webhook: { detectionState: 'status' }
+        },
+        'Hub 2': {
+            states: ['temperature', 'humidity', 'lightLevel', 'onlineStatus'],
+            commands: []
+        },
+        'Hub 3': {
+            states: ['temperature', 'humidity', 'lightLevel', 'moveDetected', 'onlineStatus'],
+            commands: []
+        }
+    },
+    states: {
+        // The webhook reports DETECTED/NOT_DETECTED instead of a boolean
+        moveDetected: { type: 'boolean', role: 'sensor.motion', convert: value => value === true || value === 'DETECTED' },
+        openState: { type: 'string', role: 'sensor.door', states: { open: 'Open', close: 'Closed', timeOutNotClose: 'Not closed' } },
+        brightness: { type: 'string', role: 'text', states: { bright: 'Bright', dim: 'Dim' } },
+        battery: common.states.battery,
+        detectionState: { type: 'string', role: 'text', states: { DETECTED: 'Detected', NOT_DETECTED: 'Not detected' }, name: 'Detection state' },
+        occupied: {
+            type: 'boolean',
+            role: 'sensor.motion',
+            name: 'Occupied',
+            source: 'detectionState',
+            convert: value => value === 'DETECTED'
+        },
+        status: { type: 'number', role: 'value', states: { 0: 'Dry', 1: 'Leak detected' }, name: 'Leak status' },
+        leak: {
+            type: 'boolean',
+            role: 'sensor.alarm.flood',
+            name: 'Water leak',
+            source: 'status',
+            convert: value => Number(value) === 1
+        },
+        // Role and unit of the hub readings come from the device manager maps
+        temperature: { type: 'number' },
+        humidity: { type: 'number', min: 0, max: 100 },
+        lightLevel: { type: 'number', min: 1, max: 20 },
+        onlineStatus: { type: 'boolean', convert: value => value === 'online' }
+    },
+    commands: {}
+};
@@ -0,0 +1,181 @@
+/**
+ * Robot Vacuum Profile
+ *
+ * Older models take simple commands, newer models (S10, K10+ Pro Combo, K20+ Pro) start cleaning with an action/param payload
+ */
+
+'use strict';
+
+const common = require('./common');
+
+const workingStatuses = {
+    StandBy: 'Standby',
+    Clearing: 'Cleaning',
+    Paused: 'Paused',
+    GotoChargeBase: 'Returning to dock',
+    Charging: 'Charging',
+    ChargeDone: 'Charged',
+    Dormant: 'Dormant',
+    InTrouble: 'In trouble',
+    InRemoteControl: 'Remote control',
+    InDustCollecting: 'Collecting dust'
+};
+
+const legacyModel = {
+    states: ['workingStatus', 'onlineStatus', 'battery'],
+    commands: ['start', 'stop', 'dock', 'suctionLevel']
+};
+
+/**
+ * Build the startClean payload from the clean settings
+ * @param {any} value - Written value (ignored)
+ * @param {object} device - Device entry with the stored settings in controls
+ * @returns {object} - Payload with action and param
+ */
+function cleanFromSettings(value, device) {
+    const settings = device.controls || {};
+    const param = {
+        fanLevel: Number(settings.fanLevel || 2),
+        times: Number(settings.cleanTimes || 1)
+    };
+    const action = settings.cleanMode || 'sweep';
+    if (settings.waterLevel !== undefined || action === 'sweep_mop') {
+        param.waterLevel = Number(settings.waterLevel || 1);
+    }
+    return { action, param };
+}
+
+/**
+ * Parse a startClean payload written as JSON
+ * @param {any} value - JSON string or object with action and param
+ * @returns {object}
+ */
+function cleanPayload(value) {
+    let payload = value;
+    if (typeof value === 'string') {
+        try {
+            payload = JSON.parse(value);
+        } catch {
+            throw new Error(`Invalid clean payload ${value}: expected JSON`);
+        }
+    }
+    if (!payload || typeof payload.action !== 'string') {
+        throw new Error('Invalid clean payload: action is missing');
+    }
+    return payload;
+}
+
+// Newer models start with startClean and stop with pause
+const cleanCommands = {
+    start: { command: 'startClean', parameter: cleanFromSettings },
+    stop: { command: 'pause' },
+    dock: {},
+    fanLevel: {},
+    cleanTimes: {},
+    startClean: {},
+    setVolume: {}
+};
+
+const comboModel = {
+    states: ['workingStatus', 'onlineStatus', 'battery', 'taskType'],
+    commands: cleanCommands
+};
+
+const mopModel = {
+    states: ['workingStatus', 'onlineStatus', 'battery', 'waterBaseBattery', 'taskType'],
+    commands: { ...cleanCommands, cleanMode: {}, waterLevel: {}, selfClean: {} }
+};
+
+module.exports = {
+    family: 'vacuum',
+    models: {
+        'Robot Vacuum Cleaner S1': legacyModel,
+        'Robot Vacuum Cleaner S1 Plus': legacyModel,
+        'K10+': legacyModel,
+        'K10+ Pro': legacyModel,
+        'Robot Vacuum Cleaner K10+ Pro Combo': comboModel,
+        'Robot Vacuum Cleaner K20 Plus Pro': comboModel,
+        'Robot Vacuum Cleaner S10': mopModel,
+        'Robot Vacuum Cleaner S20': mopModel
+    },
+    states: {
+        workingStatus: { type: 'string', role: 'text', states: workingStatuses, name: 'Working status' },
+        onlineStatus: { type: 'boolean', role: 'indicator.reachable', name: 'Online', convert: value => value === 'online' },
+        battery: common.states.battery,
+        waterBaseBattery: { type: 'number', role: 'value.battery', unit: '%', min: 0, max: 100, name: 'Water base battery' },
+        taskType: { type: 'string', role: 'text', name: 'Task' }
+    },
+    commands: {
+        start: { role: 'button.start', name: 'Start cleaning' },
+        stop: { role: 'button.stop', name: 'Stop cleaning' },
+        dock: { role: 'button', name: 'Return to dock' },
+        suctionLevel: {
+            command: 'PowLevel',
+            type: 'number',
+            role: 'level.mode.fan',
+            states: { 0: 'Quiet', 1: 'Standard', 2: 'Strong', 3: 'Max' },
+            stateful: true,
+            parameter: value => Number(common.oneOf([0, 1, 2, 3])(value)),
+            desc: 'Suction power'
+        },
+        cleanMode: {
+            type: 'string',
+            role: 'level.mode',
+            states: { sweep: 'Vacuum', sweep_mop: 'Vacuum and mop' },
+            def: 'sweep',
+            setting: true,
+            parameter: common.oneOf(['sweep', 'sweep_mop']),
+            desc: 'Clean mode used by start'
+        },
+        fanLevel: {
+            type: 'number',
+            role: 'level.mode.fan',
+            states: { 1: 'Quiet', 2: 'Standard', 3: 'Strong', 4: 'Max' },
+            def: 2,
+            setting: true,
+            parameter: value => Number(common.oneOf([1, 2, 3, 4])(value)),
+            desc: 'Suction power used by start'
+        },
+        waterLevel: {
+            type: 'number',
+            role: 'level.mode',
+            states: { 1: 'Low', 2: 'High' },
+            def: 1,
+            setting: true,
+            parameter: value => Number(common.oneOf([1, 2])(value)),
+            desc: 'Mop water level used by start'
+        },
+        cleanTimes: {
+            type: 'number',
+            role: 'level',
+            min: 1,
+            max: 2639999,
+            def: 1,
+            setting: true,
+            parameter: common.numberInRange(1, 2639999),
+            desc: 'Cleaning cycles used by start'
+        },
+        startClean: {
+            type: 'string',
+            role: 'json',
+            parameter: cleanPayload,
+            desc: 'Start cleaning with a JSON payload, e.g. {"action":"sweep","param":{"fanLevel":2,"times":1}}'
+        },
+        setVolume: {
+            type: 'number',
+            role: 'level.volume',
+            unit: '%',
+            min: 0,
+            max: 100,
+            stateful: true,
+            parameter: common.numberInRange(0, 100)
+        },
+        selfClean: {
+            type: 'number',
+            role: 'level.mode',
+            states: { 1: 'Wash mop', 2: 'Dry', 3: 'Stop' },
+            parameter: value => Number(common.oneOf([1, 2, 3])(value)),
+            desc: 'Mop maintenance at the base station'
+        }
+    }
+};
@@ -0,0 +1,124 @@
+/**
+ * Quota Manager
+ *
+ * Counts API requests per day and stretches the poll intervals to stay within the daily budget
+ */
+
+'use strict';
+
+class QuotaManager {
+    /**
+     * @param {object} adapter - Adapter instance
+     * @param {object} options
+     * @param {number} [options.dailyBudget=10000] - Requests allowed per day
+     * @param {number} [options.commandReserve=1000] - Requests kept free for user commands
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.log = adapter.log;
+        this.dailyBudget = options.dailyBudget || 10000;
+        this.commandReserve = options.commandReserve !== undefined ? options.commandReserve : 1000;
+        this.date = this.getDateKey();
+        this.requestsToday = 0;
+        this.budgetWarningLogged = false;
+    }
+
+    /**
+     * Restore today's counter from the persisted states
+     */
+    async init() {
+        const dateState = await this.adapter.getStateAsync('info.apiRequestsDate');
+        const countState = await this.adapter.getStateAsync('info.apiRequestsToday');
+
+        if (dateState && dateState.val === this.date && countState && typeof countState.val === 'number') {
+            this.requestsToday = countState.val;
+            this.log.debug(`Restored API request counter: ${this.requestsToday} requests today`);
+        }
+
+        await this.saveCounter();
+    }
+
+    /**
+     * Get the key of the current day
+     * @returns {string} - Local date as YYYY-MM-DD
+     */
+    getDateKey() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Reset the counter when a new day has started
+     */
+    rollOver() {
+        const today = this.getDateKey();
+        if (today !== this.date) {
+            this.log.info(`API requests on ${this.date}: ${this.requestsToday}`);
+            this.date = today;
+            this.requestsToday = 0;
+            this.budgetWarningLogged = false;
+        }
+    }
+
+    /**
+     * Count an API request (called by the API client for every request)
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     */
+    recordRequest(method, url) {
+        this.rollOver();
+        this.requestsToday++;
+        this.log.debug(`API request ${this.requestsToday}/${this.dailyBudget} today: ${method} ${url}`);
+
+        if (this.requestsToday >= this.dailyBudget && !this.budgetWarningLogged) {
+            this.budgetWarningLogged = true;
+            this.log.warn(`Daily API budget of ${this.dailyBudget} requests reached`);
+        }
+
+        this.saveCounter().catch(error => this.log.debug(`Failed to save API request counter: ${error.message}`));
+    }
+
+    /**
+     * Persist the counter in the info states
+     */
+    async saveCounter() {
+        await this.adapter.setStateAsync('info.apiRequestsToday', this.requestsToday, true);
+        await this.adapter.setStateAsync('info.apiRequestsDate', this.date, true);
+        await this.adapter.setStateAsync('info.apiRequestsRemaining', Math.max(0, this.dailyBudget - this.requestsToday), true);
+    }
+
+    /**
+     * Get milliseconds until the counter rolls over
+     * @returns {number}
+     */
+    getTimeUntilRollOver() {
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        return midnight.getTime() - Date.now();
+    }
+
+    /**
+     * Get the factor the poll intervals have to be stretched by to keep the projected daily usage within the budget
+     * @param {number} requestsPerMs - Poll requests per ms at the configured intervals
+     * @returns {number} - Factor >= 1, Infinity if the budget for polling is used up
+     */
+    getPollStretch(requestsPerMs) {
+        this.rollOver();
+
+        if (requestsPerMs <= 0) {
+            return 1;
+        }
+
+        const remaining = this.dailyBudget - this.commandReserve - this.requestsToday;
+        if (remaining <= 0) {
+            return Infinity;
+        }
+
+        const projected = requestsPerMs * this.getTimeUntilRollOver();
+        return Math.max(1, projected / remaining);
+    }
+}
+
+module.exports = QuotaManager;
@@ -0,0 +1,155 @@
+/**
+ * Request Scheduler
+ *
+ * Queues API requests in priority lanes with a concurrency limit and a requests-per-second cap
+ */
+
+'use strict';
+
+// Lanes in order of priority
+const LANES = ['command', 'discovery', 'poll'];
+
+class RequestScheduler {
+    /**
+     * @param {object} options
+     * @param {object} options.log - Adapter logger
+     * @param {number} [options.concurrency=2] - Maximum requests in flight
+     * @param {number} [options.maxPerSecond=5] - Maximum requests started per second
+     * @param {(stats: object) => void} [options.onStats] - Called when the statistics change
+     */
+    constructor(options) {
+        this.log = options.log;
+        this.concurrency = options.concurrency || 2;
+        this.maxPerSecond = options.maxPerSecond || 5;
+        this.onStats = options.onStats || null;
+        this.queues = new Map(LANES.map(lane => [lane, []]));
+        this.active = 0;
+        this.startTimes = [];
+        this.waitTimes = [];
+        this.maxSamples = 100;
+        this.timer = null;
+    }
+
+    /**
+     * Queue a request
+     * @param {() => Promise<any>} fn - Function performing the request
+     * @param {string} [lane='discovery'] - 'command', 'discovery' or 'poll'
+     * @returns {Promise<any>} - Result of the request
+     */
+    schedule(fn, lane = 'discovery') {
+        const queue = this.queues.get(lane) || this.queues.get('discovery');
+
+        return new Promise((resolve, reject) => {
+            queue.push({ fn, resolve, reject, lane, queuedAt: Date.now() });
+            this.next();
+        });
+    }
+
+    /**
+     * Take the next request from the highest lane if a slot is free
+     */
+    next() {
+        if (this.timer || this.active >= this.concurrency) {
+            return;
+        }
+
+        const queue = LANES.map(lane => this.queues.get(lane)).find(entries => entries.length > 0);
+        if (!queue) {
+            return;
+        }
+
+        // Requests-per-second cap over a sliding window
+        const now = Date.now();
+        this.startTimes = this.startTimes.filter(time => now - time < 1000);
+        if (this.startTimes.length >= this.maxPerSecond) {
+            const delay = 1000 - (now - this.startTimes[0]);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.next();
+            }, delay);
+            return;
+        }
+
+        const request = queue.shift();
+        const waitTime = now - request.queuedAt;
+        this.startTimes.push(now);
+        this.recordWait(waitTime);
+        this.active++;
+
+        if (waitTime > 1000) {
+            this.log.debug(`${request.lane} request waited ${waitTime}ms in queue`);
+        }
+
+        Promise.resolve()
+            .then(() => request.fn())
+            .then(request.resolve, request.reject)
+            .finally(() => {
+                this.active--;
+                this.emitStats();
+                this.next();
+            });
+
+        this.emitStats();
+        this.next();
+    }
+
+    /**
+     * Remember the wait time of a request
+     * @param {number} waitTime - Time spent in queue in ms
+     */
+    recordWait(waitTime) {
+        this.waitTimes.push(waitTime);
+        if (this.waitTimes.length > this.maxSamples) {
+            this.waitTimes.shift();
+        }
+    }
+
+    /**
+     * Get queue statistics
+     * @returns {object} - Queue depth per lane, requests in flight and wait times of the last requests
+     */
+    getStats() {
+        const depth = {};
+        let total = 0;
+        for (const [lane, queue] of this.queues) {
+            depth[lane] = queue.length;
+            total += queue.length;
+        }
+
+        const waits = this.waitTimes;
+        return {
+            depth,
+            queued: total,
+            active: this.active,
+            averageWait: waits.length ? Math.round(waits.reduce((sum, wait) => sum + wait, 0) / waits.length) : 0,
+            maxWait: waits.length ? Math.max(...waits) : 0
+        };
+    }
+
+    /**
+     * Pass the statistics to the listener
+     */
+    emitStats() {
+        if (this.onStats) {
+            this.onStats(this.getStats());
+        }
+    }
+
+    /**
+     * Reject all queued requests (call on adapter shutdown)
+     */
+    clear() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        for (const queue of this.queues.values()) {
+            for (const request of queue.splice(0)) {
+                request.reject(new Error('Request cancelled: adapter is shutting down'));
+            }
+        }
+    }
+}
+
+module.exports = RequestScheduler;
@@ -8,14 +8,22 @@
 
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const RequestScheduler = require('./request-scheduler');
 
 class SwitchBotAPI {
     constructor(options) {
         this.token = options.token;
         this.secret = options.secret;
         this.log = options.log;
+        this.onRequest = options.onRequest || null;
         this.baseURL = 'https://api.switch-bot.com/v1.1';
         this.timeout = 10000;
+        this.scheduler = new RequestScheduler({
+            log: this.log,
+            concurrency: options.concurrency,
+            maxPerSecond: options.maxRequestsPerSecond,
+            onStats: options.onQueueStats
+        });
     }
 
     /**
@@ -46,29 +54,38 @@ class SwitchBotAPI {
     }
 
     /**
-     * Make API request with timeout
+     * Queue an API request and make it with timeout
      * @param {string} url - Request URL
-     * @param {object} options - Fetch options
+     * @param {object} options - Fetch options, authentication headers are added when the request starts
+     * @param {string} [lane='discovery'] - Priority lane: 'command', 'discovery' or 'poll'
      * @returns {Promise<Response>} - Fetch response
      */
-    async fetchWithTimeout(url, options = {}) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-        
-        try {
-            const response = await fetch(url, {
-                ...options,
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout: SwitchBot API did not respond in time');
+    async fetchWithTimeout(url, options = {}, lane = 'discovery') {
+        return this.scheduler.schedule(async () => {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+            // Every request counts against the daily quota
+            if (this.onRequest) {
+                this.onRequest(options.method || 'GET', url);
             }
-            throw error;
-        }
+
+            try {
+                const response = await fetch(url, {
+                    ...options,
+                    headers: this.generateAuthHeaders(),
+                    signal: controller.signal
+                });
+                clearTimeout(timeoutId);
+                return response;
+            } catch (error) {
+                clearTimeout(timeoutId);
+                if (error.name === 'AbortError') {
+                    throw new Error('Request timeout: SwitchBot API did not respond in time');
+                }
+                throw error;
+            }
+        }, lane);
     }
 
     /**
@@ -101,6 +118,17 @@ class SwitchBotAPI {
         return data;
     }
 
+    /**
+     * Create an error for a response with a status code other than 100
+     * @param {object} data - Parsed response data
+     * @returns {Error} - Error carrying the SwitchBot status code in statusCode
+     */
+    statusError(data) {
+        const error = new Error(`API returned status code ${data.statusCode}: ${data.message}`);
+        error.statusCode = data.statusCode;
+        return error;
+    }
+
     /**
      * Get all devices
      * @returns {Promise<object>} - Device list response
@@ -109,8 +137,7 @@ class SwitchBotAPI {
         try {
             this.log.debug('Fetching device list...');
             const response = await this.fetchWithTimeout(`${this.baseURL}/devices`, {
-                method: 'GET',
-                headers: this.generateAuthHeaders()
+                method: 'GET'
             });
             
             const data = await this.handleResponse(response);
@@ -119,7 +146,7 @@ class SwitchBotAPI {
                 this.log.debug(`Successfully fetched ${data.body.deviceList.length} physical devices and ${data.body.infraredRemoteList.length} IR devices`);
                 return data.body;
             } else {
-                throw new Error(`API returned status code ${data.statusCode}: ${data.message}`);
+                throw this.statusError(data);
             }
         } catch (error) {
             this.log.error(`Failed to get devices: ${error.message}`);
@@ -130,15 +157,15 @@ class SwitchBotAPI {
     /**
      * Get device status
      * @param {string} deviceId - Device ID
+     * @param {string} [lane='poll'] - Priority lane of the request
      * @returns {Promise<object>} - Device status response
      */
-    async getDeviceStatus(deviceId) {
+    async getDeviceStatus(deviceId, lane = 'poll') {
         try {
             this.log.debug(`Fetching status for device ${deviceId}...`);
             const response = await this.fetchWithTimeout(`${this.baseURL}/devices/${deviceId}/status`, {
-                method: 'GET',
-                headers: this.generateAuthHeaders()
-            });
+                method: 'GET'
+            }, lane);
             
             const data = await this.handleResponse(response);
             
@@ -146,7 +173,7 @@ class SwitchBotAPI {
                 this.log.debug(`Successfully fetched status for device ${deviceId}`);
                 return data.body;
             } else {
-                throw new Error(`API returned status code ${data.statusCode}: ${data.message}`);
+                throw this.statusError(data);
             }
         } catch (error) {
             this.log.error(`Failed to get status for device ${deviceId}: ${error.message}`);
@@ -162,12 +189,13 @@ class SwitchBotAPI {
      */
     async sendCommand(deviceId, commandData) {
         try {
-            this.log.debug(`Sending command to device ${deviceId}: ${JSON.stringify(commandData)}`);
+            // Keypad passcodes must not end up in the log
+            const logged = JSON.stringify(commandData, (key, value) => (key === 'password' ? '***' : value));
+            this.log.debug(`Sending command to device ${deviceId}: ${logged}`);
             const response = await this.fetchWithTimeout(`${this.baseURL}/devices/${deviceId}/commands`, {
                 method: 'POST',
-                headers: this.generateAuthHeaders(),
                 body: JSON.stringify(commandData)
-            });
+            }, 'command');
             
             const data = await this.handleResponse(response);
             
@@ -175,7 +203,7 @@ class SwitchBotAPI {
                 this.log.debug(`Successfully sent command to device ${deviceId}`);
                 return data;
             } else {
-                throw new Error(`API returned status code ${data.statusCode}: ${data.message}`);
+                throw this.statusError(data);
             }
         } catch (error) {
             this.log.error(`Failed to send command to device ${deviceId}: ${error.message}`);
@@ -191,8 +219,7 @@ class SwitchBotAPI {
         try {
             this.log.debug('Fetching scenes list...');
             const response = await this.fetchWithTimeout(`${this.baseURL}/scenes`, {
-                method: 'GET',
-                headers: this.generateAuthHeaders()
+                method: 'GET'
             });
             
             const data = await this.handleResponse(response);
@@ -201,7 +228,7 @@ class SwitchBotAPI {
                 this.log.debug(`Successfully fetched ${data.body.length} scenes`);
                 return data.body;
             } else {
-                throw new Error(`API returned status code ${data.statusCode}: ${data.message}`);
+                throw this.statusError(data);
             }
         } catch (error) {
             this.log.error(`Failed to get scenes: ${error.message}`);
@@ -218,9 +245,8 @@ class SwitchBotAPI {
         try {
             this.log.debug(`Executing scene ${sceneId}...`);
             const response = await this.fetchWithTimeout(`${this.baseURL}/scenes/${sceneId}/execute`, {
-                method: 'POST',
-                headers: this.generateAuthHeaders()
-            });
+                method: 'POST'
+            }, 'command');
             
             const data = await this.handleResponse(response);
             
@@ -228,13 +254,111 @@ class SwitchBotAPI {
                 this.log.debug(`Successfully executed scene ${sceneId}`);
                 return data;
             } else {
-                throw new Error(`API returned status code ${data.statusCode}: ${data.message}`);
+                throw this.statusError(data);
             }
         } catch (error) {
             this.log.error(`Failed to execute scene ${sceneId}: ${error.message}`);
             throw error;
         }
     }
+
+    /**
+     * Send a webhook management request
+     * @param {string} endpoint - Webhook endpoint name (e.g. setupWebhook)
+     * @param {object} payload - Request body
+     * @returns {Promise<object>} - Response body
+     */
+    async webhookRequest(endpoint, payload) {
+        const response = await this.fetchWithTimeout(`${this.baseURL}/webhook/${endpoint}`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+
+        const data = await this.handleResponse(response);
+
+        if (data.statusCode === 100) {
+            return data.body;
+        } else {
+            throw this.statusError(data);
+        }
+    }
+
+    /**
+     * Register a webhook URL for all devices
+     * @param {string} url - Public URL the SwitchBot cloud posts events to
+     * @returns {Promise<object>} - Response body
+     */
+    async setupWebhook(url) {
+        try {
+            this.log.debug(`Setting up webhook ${url}...`);
+            const body = await this.webhookRequest('setupWebhook', {
+                action: 'setupWebhook',
+                url,
+                deviceList: 'ALL'
+            });
+            this.log.debug(`Successfully set up webhook ${url}`);
+            return body;
+        } catch (error) {
+            this.log.error(`Failed to set up webhook: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Query registered webhooks
+     * @param {string} [action='queryUrl'] - 'queryUrl' or 'queryDetails'
+     * @param {string[]} [urls] - URLs to query details for (queryDetails only)
+     * @returns {Promise<object>} - Response body
+     */
+    async queryWebhook(action = 'queryUrl', urls = []) {
+        try {
+            this.log.debug(`Querying webhooks (${action})...`);
+            const payload = action === 'queryDetails' ? { action, urls } : { action };
+            return await this.webhookRequest('queryWebhook', payload);
+        } catch (error) {
+            this.log.error(`Failed to query webhooks: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Enable or disable a registered webhook
+     * @param {string} url - Registered webhook URL
+     * @param {boolean} [enable=true] - Whether events should be sent
+     * @returns {Promise<object>} - Response body
+     */
+    async updateWebhook(url, enable = true) {
+        try {
+            this.log.debug(`Updating webhook ${url} (enable=${enable})...`);
+            return await this.webhookRequest('updateWebhook', {
+                action: 'updateWebhook',
+                config: { url, enable }
+            });
+        } catch (error) {
+            this.log.error(`Failed to update webhook: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a registered webhook
+     * @param {string} url - Registered webhook URL
+     * @returns {Promise<object>} - Response body
+     */
+    async deleteWebhook(url) {
+        try {
+            this.log.debug(`Deleting webhook ${url}...`);
+            const body = await this.webhookRequest('deleteWebhook', {
+                action: 'deleteWebhook',
+                url
+            });
+            this.log.debug(`Successfully deleted webhook ${url}`);
+            return body;
+        } catch (error) {
+            this.log.error(`Failed to delete webhook: ${error.message}`);
+            throw error;
+        }
+    }
 }
 
 module.exports = SwitchBotAPI;
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Unlock Guard
+ *
+ * Optional two-step arming for unlock commands: a lock only unlocks after it was armed,
+ * or with its confirmation code, while the protection is active
+ */
+
+'use strict';
+
+class UnlockGuard {
+    /**
+     * @param {object} adapter - Adapter instance
+     * @param {Array<{deviceId: string, armWindow: number, code: string, fromTime: string, toTime: string}>} [rules] - Protection per lock
+     */
+    constructor(adapter, rules) {
+        this.adapter = adapter;
+        this.log = adapter.log;
+        this.rules = new Map();
+        this.armed = new Map();
+
+        for (const rule of rules || []) {
+            if (rule && rule.deviceId) {
+                this.rules.set(String(rule.deviceId).trim().toUpperCase(), {
+                    armWindow: (Number(rule.armWindow) || 30) * 1000,
+                    code: rule.code ? String(rule.code) : '',
+                    fromTime: rule.fromTime || '',
+                    toTime: rule.toTime || ''
+                });
+            }
+        }
+    }
+
+    /**
+     * Get the protection rule of a lock
+     * @param {string} deviceId - Device ID
+     * @returns {object|undefined}
+     */
+    getRule(deviceId) {
+        return this.rules.get(deviceId.toUpperCase());
+    }
+
+    /**
+     * Create the arming states of a protected lock
+     * @param {string} deviceId - Device ID
+     */
+    async createStates(deviceId) {
+        if (!this.getRule(deviceId)) {
+            return;
+        }
+
+        const states = {
+            armUnlock: { name: 'Arm unlock', type: 'boolean', role: 'button', read: false, write: true },
+            unlockArmed: { name: 'Unlock armed', type: 'boolean', role: 'indicator', read: true, write: false, def: false },
+            unlockRejected: { name: 'Rejected unlock attempts', type: 'number', role: 'value', read: true, write: false, def: 0 }
+        };
+
+        for (const [stateName, common] of Object.entries(states)) {
+            await this.adapter.setObjectNotExistsAsync(`${deviceId}.${stateName}`, {
+                type: 'state',
+                common,
+                native: {}
+            });
+        }
+
+        // Rediscovery creates the states again, keep an active arming
+        if (!this.armed.has(deviceId)) {
+            await this.adapter.setStateAsync(`${deviceId}.unlockArmed`, false, true);
+        }
+    }
+
+    /**
+     * Check if the protection of a rule applies at the current time of day
+     * @param {object} rule - Protection rule
+     * @returns {boolean}
+     */
+    isActive(rule) {
+        if (!rule.fromTime || !rule.toTime) {
+            return true;
+        }
+
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const now = new Date();
+        const current = now.getHours() * 60 + now.getMinutes();
+        const from = toMinutes(rule.fromTime);
+        const to = toMinutes(rule.toTime);
+
+        // Windows such as 22:00-06:00 span midnight
+        return from <= to ? current >= from && current < to : current >= from || current < to;
+    }
+
+    /**
+     * Arm a lock for the unlock window
+     * @param {string} deviceId - Device ID
+     */
+    async arm(deviceId) {
+        const rule = this.getRule(deviceId);
+        if (!rule) {
+            this.log.warn(`Unlock protection is not configured for device ${deviceId}`);
+            return;
+        }
+
+        this.disarm(deviceId);
+        const timer = this.adapter.setTimeout(() => {
+            this.armed.delete(deviceId);
+            this.log.info(`Unlock of device ${deviceId} disarmed: window expired`);
+            this.adapter.setState(`${deviceId}.unlockArmed`, false, true);
+        }, rule.armWindow);
+
+        this.armed.set(deviceId, timer);
+        this.log.info(`Unlock of device ${deviceId} armed for ${rule.armWindow / 1000}s`);
+        await this.adapter.setStateAsync(`${deviceId}.unlockArmed`, true, true);
+    }
+
+    /**
+     * Disarm a lock
+     * @param {string} deviceId - Device ID
+     */
+    disarm(deviceId) {
+        const timer = this.armed.get(deviceId);
+        if (timer) {
+            this.adapter.clearTimeout(timer);
+            this.armed.delete(deviceId);
+            this.adapter.setState(`${deviceId}.unlockArmed`, false, true);
+        }
+    }
+
+    /**
+     * Authorize an unlock command, throws if it is rejected
+     * @param {string} deviceId - Device ID
+     * @param {any} value - Value written, compared with the confirmation code
+     */
+    async authorize(deviceId, value) {
+        const rule = this.getRule(deviceId);
+        if (!rule || !this.isActive(rule)) {
+            return;
+        }
+
+        if (this.armed.has(deviceId) || (rule.code && String(value) === rule.code)) {
+            this.disarm(deviceId);
+            return;
+        }
+
+        const state = await this.adapter.getStateAsync(`${deviceId}.unlockRejected`);
+        const rejected = ((state && state.val) || 0) + 1;
+        await this.adapter.setStateAsync(`${deviceId}.unlockRejected`, rejected, true);
+
+        this.log.warn(`Unlock of device ${deviceId} rejected: not armed${rule.code ? ' and no valid confirmation code' : ''} (${rejected} rejected attempts)`);
+        throw new Error('Unlock rejected by unlock protection');
+    }
+}
+
+module.exports = UnlockGuard;
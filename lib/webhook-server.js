@@ -0,0 +1,129 @@
+/**
+ * Webhook Server
+ *
+ * Small HTTP listener that receives SwitchBot webhook events
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+
+class WebhookServer {
+    /**
+     * @param {object} options
+     * @param {number} options.port - Local port to listen on
+     * @param {string} [options.host] - Local address to listen on, all interfaces if empty
+     * @param {string} [options.path='/'] - Request path events are accepted on, ends with the secret token of the registered URL
+     * @param {object} options.log - Adapter logger
+     * @param {(event: object) => Promise<void>} options.onEvent - Event callback
+     */
+    constructor(options) {
+        this.port = options.port;
+        this.host = options.host || undefined;
+        this.path = options.path || '/';
+        this.log = options.log;
+        this.onEvent = options.onEvent;
+        this.maxBodySize = 64 * 1024;
+        this.server = null;
+    }
+
+    /**
+     * Start listening for webhook events
+     * @returns {Promise<void>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                this.server.on('error', error => this.log.error(`Webhook server error: ${error.message}`));
+                this.log.info(`Webhook server listening on ${this.host || 'all interfaces'}, port ${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Handle an incoming HTTP request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handleRequest(req, res) {
+        const path = (req.url || '/').split('?')[0];
+
+        if (req.method !== 'POST' || !this.isExpectedPath(path)) {
+            this.log.debug(`Webhook request ${req.method} from ${req.socket.remoteAddress} rejected`);
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        let body = '';
+        let tooLarge = false;
+
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            body += chunk;
+            if (body.length > this.maxBodySize) {
+                tooLarge = true;
+                this.log.warn('Webhook request body too large, ignoring event');
+                res.writeHead(413);
+                res.end();
+            }
+        });
+
+        req.on('end', () => {
+            if (tooLarge) return;
+
+            let event;
+            try {
+                event = JSON.parse(body);
+            } catch (error) {
+                this.log.warn(`Received invalid webhook payload: ${error.message}`);
+                res.writeHead(400);
+                res.end();
+                return;
+            }
+
+            // Answer immediately, the SwitchBot cloud does not wait for processing
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ statusCode: 100 }));
+
+            this.log.debug(`Webhook event received: ${JSON.stringify(event)}`);
+            Promise.resolve()
+                .then(() => this.onEvent(event))
+                .catch(error => this.log.warn(`Failed to process webhook event: ${error.message}`));
+        });
+    }
+
+    /**
+     * Compare a request path with the path of the registered URL in constant time
+     * @param {string} path - Request path
+     * @returns {boolean}
+     */
+    isExpectedPath(path) {
+        const expected = Buffer.from(this.path);
+        const actual = Buffer.from(path);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Stop the listener
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+}
+
+module.exports = WebhookServer;
@@ -6,10 +6,14 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const utils = require('@iobroker/adapter-core');
 const SwitchBotAPI = require('./lib/switchbot-api');
 const DeviceManager = require('./lib/device-manager');
 const ErrorHandler = require('./lib/error-handler');
+const WebhookServer = require('./lib/webhook-server');
+const QuotaManager = require('./lib/quota-manager');
+const PollScheduler = require('./lib/poll-scheduler');
 
 class SwitchBot extends utils.Adapter {
 
@@ -31,7 +35,12 @@ class SwitchBot extends utils.Adapter {
         this.api = null;
         this.deviceManager = null;
         this.errorHandler = null;
-        this.pollTimer = null;
+        this.quotaManager = null;
+        this.pollScheduler = null;
+        this.rediscoveryTimer = null;
+        this.rediscovering = false;
+        this.webhookServer = null;
+        this.webhookRegistered = false;
         this.isConnected = false;
         this.isShuttingDown = false;
     }
@@ -61,12 +70,23 @@ class SwitchBot extends utils.Adapter {
                 return; // Stop initialization if config is invalid
             }
             
+            // Initialize request counter
+            this.quotaManager = new QuotaManager(this, {
+                dailyBudget: parseInt(this.config.dailyRequestBudget) || 10000,
+                commandReserve: this.config.commandReserve !== undefined ? parseInt(this.config.commandReserve) : 1000
+            });
+            await this.quotaManager.init();
+
             // Initialize API client
             try {
                 this.api = new SwitchBotAPI({
                     token: this.config.token,
                     secret: this.config.secret,
-                    log: this.log
+                    log: this.log,
+                    concurrency: parseInt(this.config.requestConcurrency) || 2,
+                    maxRequestsPerSecond: parseInt(this.config.maxRequestsPerSecond) || 5,
+                    onRequest: (method, url) => this.quotaManager.recordRequest(method, url),
+                    onQueueStats: stats => this.updateQueueStats(stats)
                 });
                 this.log.debug('API client initialized');
             } catch (apiError) {
@@ -113,6 +133,19 @@ class SwitchBot extends utils.Adapter {
                     this.log.error(`Failed to start polling: ${pollError.message}`);
                     this.log.warn('Device states will not update automatically');
                 }
+
+                // Pick up new, renamed and removed devices
+                this.startRediscovery();
+
+                // Receive pushed updates via webhook
+                if (this.config.enableWebhook) {
+                    try {
+                        await this.startWebhook();
+                    } catch (webhookError) {
+                        this.log.error(`Failed to start webhook: ${webhookError.message}`);
+                        this.log.warn('Device states will only update by polling');
+                    }
+                }
                 
                 this.log.info('✅ SwitchBot adapter started successfully');
             } else {
@@ -143,6 +176,19 @@ class SwitchBot extends utils.Adapter {
         }
     }
 
+    /**
+     * Write request queue statistics into the info states
+     * @param {object} stats - Statistics of the request scheduler
+     */
+    updateQueueStats(stats) {
+        if (this.isShuttingDown) return;
+
+        this.setStateChanged('info.requestQueue.depth', stats.queued, true);
+        this.setStateChanged('info.requestQueue.active', stats.active, true);
+        this.setStateChanged('info.requestQueue.averageWait', stats.averageWait, true);
+        this.setStateChanged('info.requestQueue.maxWait', stats.maxWait, true);
+    }
+
     /**
      * Test API connection
      */
@@ -184,17 +230,141 @@ class SwitchBot extends utils.Adapter {
     startPolling() {
         const interval = this.config.pollInterval || 60000; // Default 60 seconds
         
-        this.pollTimer = this.setInterval(() => {
-            this.pollDevices();
-        }, interval);
+        this.pollScheduler = new PollScheduler(this, {
+            defaultInterval: interval,
+            typeIntervals: this.config.typePollIntervals,
+            deviceIntervals: this.config.devicePollIntervals,
+            quotaManager: this.quotaManager,
+            pollDevice: deviceId => this.pollDevice(deviceId)
+        });
+        this.pollScheduler.setDevices(this.deviceManager.getPolledDevices());
         
-        this.log.info(`Started polling with interval: ${interval}ms`);
+        this.log.info(`Started polling with default interval: ${interval}ms`);
+    }
+
+    /**
+     * Start periodic rediscovery and listen for the rediscover button
+     */
+    startRediscovery() {
+        this.subscribeStates('info.rediscover');
+
+        const minutes = this.config.rediscoveryInterval !== undefined ? parseInt(this.config.rediscoveryInterval) : 60;
+        if (!minutes) {
+            this.log.debug('Periodic rediscovery disabled');
+            return;
+        }
+
+        this.rediscoveryTimer = this.setInterval(() => {
+            this.rediscover().catch(error => this.log.warn(`Rediscovery failed: ${error.message}`));
+        }, minutes * 60000);
+        this.log.debug(`Rediscovering devices every ${minutes} minutes`);
+    }
+
+    /**
+     * Discover devices again and update the poll schedule
+     */
+    async rediscover() {
+        if (this.rediscovering || this.isShuttingDown || !this.isConnected) {
+            return;
+        }
+
+        this.rediscovering = true;
+        try {
+            this.log.debug('Rediscovering devices...');
+            await this.deviceManager.discoverDevices();
+
+            if (this.pollScheduler) {
+                this.pollScheduler.setDevices(this.deviceManager.getPolledDevices());
+            }
+        } finally {
+            this.rediscovering = false;
+        }
+    }
+
+    /**
+     * Get the URL the webhook is registered with, its last path segment is a secret token
+     * derived from the API credentials so that only the SwitchBot cloud knows the full URL
+     * @returns {{url: string, prefix: string}} - Registered URL and the URL without the token
+     */
+    getWebhookUrl() {
+        const token = crypto.createHmac('sha256', this.config.secret).update(`webhook:${this.config.token}`).digest('hex').substring(0, 32);
+        const parsed = new URL(this.config.webhookUrl.trim());
+        parsed.pathname = `${parsed.pathname.replace(/\/+$/, '')}/`;
+        const prefix = parsed.toString();
+        parsed.pathname += token;
+        return { url: parsed.toString(), prefix };
+    }
+
+    /**
+     * Start the local webhook listener and register the webhook URL
+     */
+    async startWebhook() {
+        const { url, prefix } = this.getWebhookUrl();
+        const shownUrl = `${prefix}***`;
+
+        this.webhookServer = new WebhookServer({
+            port: parseInt(this.config.webhookPort),
+            host: (this.config.webhookBind || '').trim(),
+            path: new URL(url).pathname,
+            log: this.log,
+            onEvent: event => this.deviceManager.handleWebhookEvent(event)
+        });
+        await this.webhookServer.start();
+
+        const registered = await this.api.queryWebhook('queryUrl');
+        const urls = (registered && registered.urls) || [];
+
+        // Registrations of this adapter without the token or with the token of other credentials
+        const outdated = urls.filter(registeredUrl => registeredUrl !== url &&
+            (registeredUrl.replace(/\/+$/, '') === prefix.replace(/\/+$/, '') ||
+                (registeredUrl.startsWith(prefix) && /^[0-9a-f]{32}$/.test(registeredUrl.substring(prefix.length)))));
+
+        if (urls.includes(url)) {
+            this.log.info(`Webhook ${shownUrl} is already registered`);
+            await this.api.updateWebhook(url, true);
+        } else if (urls.length > outdated.length) {
+            // SwitchBot allows only one webhook URL per account
+            this.log.warn(`Another webhook is already registered (${urls.join(', ')}). Delete it in the other application to receive events here.`);
+            return;
+        } else {
+            for (const outdatedUrl of outdated) {
+                await this.api.deleteWebhook(outdatedUrl);
+                this.log.info('Replacing an outdated webhook registration of this adapter');
+            }
+            await this.api.setupWebhook(url);
+            this.log.info(`Webhook ${shownUrl} registered`);
+        }
+
+        this.webhookRegistered = true;
+    }
+
+    /**
+     * Stop the webhook listener and remove the registration
+     * @returns {Promise<void>}
+     */
+    async stopWebhook() {
+        if (this.webhookServer) {
+            this.log.debug('Stopping webhook server...');
+            await this.webhookServer.stop();
+            this.webhookServer = null;
+        }
+
+        if (this.webhookRegistered && this.api) {
+            this.webhookRegistered = false;
+            try {
+                await this.api.deleteWebhook(this.getWebhookUrl().url);
+                this.log.info('Webhook registration removed');
+            } catch (error) {
+                this.log.warn(`Failed to remove webhook registration: ${error.message}`);
+            }
+        }
     }
 
     /**
-     * Poll all devices for status updates
+     * Poll a device for status updates
+     * @param {string} deviceId - Device ID
      */
-    async pollDevices() {
+    async pollDevice(deviceId) {
         // Skip if adapter is shutting down
         if (this.isShuttingDown) {
             this.log.debug('Skipping poll - adapter is shutting down');
@@ -207,10 +377,16 @@ class SwitchBot extends utils.Adapter {
         }
         
         await this.errorHandler.safeExecute(async () => {
-            await this.errorHandler.handleWithRetry('device_polling', async () => {
-                await this.deviceManager.updateAllDeviceStates();
-            });
-        }, 'device polling', null);
+            try {
+                await this.errorHandler.handleWithRetry('device_polling', async () => {
+                    await this.deviceManager.updateDeviceState(deviceId, 'poll', false);
+                }, { deviceId });
+            } catch (error) {
+                // One failure per poll, not per retry
+                await this.deviceManager.markDeviceFailed(deviceId, error);
+                throw error;
+            }
+        }, `polling device ${deviceId}`, null);
     }
 
     /**
@@ -235,18 +411,18 @@ class SwitchBot extends utils.Adapter {
                 return;
             }
 
-            this.log.debug(`Processing state change for ${id}: ${state.val}`);
+            if (id === `${this.namespace}.info.rediscover`) {
+                await this.setStateAsync('info.rediscover', false, true);
+                await this.rediscover();
+                return;
+            }
+
+            // The value is logged by the device manager, which masks confirmation codes
+            this.log.debug(`Processing state change for ${id}`);
             await this.deviceManager.handleStateChange(id, state);
             
         } catch (error) {
             this.log.error(`Failed to handle state change for ${id}: ${error.message}`);
-            
-            // Provide user-friendly error message
-            if (error.message.includes('Rate limit')) {
-                this.log.warn('API rate limit reached. Please reduce command frequency or increase poll interval.');
-            } else if (error.message.includes('Invalid')) {
-                this.log.error(`Invalid command or device configuration for ${id}. Please check device settings.`);
-            }
         }
     }
 
@@ -321,12 +497,51 @@ class SwitchBot extends utils.Adapter {
                         error: errorMessage 
                     }, obj.callback);
                 }
+            } else if (['createKey', 'deleteKey', 'listKeys'].includes(obj.command)) {
+                await this.handleKeypadMessage(obj);
             } else {
                 this.log.warn(`Unknown message command: ${obj.command}`);
             }
         }
     }
 
+    /**
+     * Handle passcode messages for keypads
+     * @param {ioBroker.Message} obj - Message with deviceId and the passcode options
+     */
+    async handleKeypadMessage(obj) {
+        const { deviceId } = obj.message;
+
+        try {
+            if (!this.isConnected || !this.deviceManager) {
+                throw new Error('Not connected to SwitchBot API');
+            }
+
+            const device = this.deviceManager.devices.get(deviceId);
+            if (!device || device.family !== 'keypad') {
+                throw new Error(`${deviceId} is not a known keypad`);
+            }
+
+            const keypads = this.deviceManager.keypads;
+            let result;
+            if (obj.command === 'createKey') {
+                result = await keypads.createKey(deviceId, obj.message);
+            } else if (obj.command === 'deleteKey') {
+                result = await keypads.deleteKey(deviceId, obj.message.id);
+            } else {
+                result = { keys: await keypads.listKeys(deviceId) };
+            }
+
+            this.sendTo(obj.from, obj.command, { success: true, ...result }, obj.callback);
+        } catch (error) {
+            this.log.warn(`Keypad command ${obj.command} failed: ${error.message}`);
+            this.sendTo(obj.from, obj.command, {
+                success: false,
+                error: error.message
+            }, obj.callback);
+        }
+    }
+
     /**
      * Is called when adapter shuts down - callback must be called under all circumstances!
      * @param {() => void} callback
@@ -338,12 +553,21 @@ class SwitchBot extends utils.Adapter {
             // Set shutdown flag to prevent new operations
             this.isShuttingDown = true;
             
-            // Clear polling timer
-            if (this.pollTimer) {
-                this.log.debug('Clearing poll timer...');
-                this.clearInterval(this.pollTimer);
-                this.pollTimer = null;
+            // Stop polling
+            if (this.pollScheduler) {
+                this.log.debug('Stopping poll scheduler...');
+                this.pollScheduler.stop();
+                this.pollScheduler = null;
             }
+
+            // Stop rediscovery
+            if (this.rediscoveryTimer) {
+                this.clearInterval(this.rediscoveryTimer);
+                this.rediscoveryTimer = null;
+            }
+            
+            // Stop webhook before the API client is released
+            const webhookStopped = this.stopWebhook();
             
             // Clean up error handler
             if (this.errorHandler) {
@@ -355,19 +579,24 @@ class SwitchBot extends utils.Adapter {
             // Clean up device manager
             if (this.deviceManager) {
                 this.log.debug('Cleaning up device manager...');
+                this.deviceManager.commandQueue.stop();
+                this.deviceManager.confirmer.stop();
                 this.deviceManager = null;
             }
             
-            // Clean up API client
-            if (this.api) {
-                this.log.debug('Cleaning up API client...');
-                this.api = null;
-            }
-            
-            // Set connection state to false
-            this.setState('info.connection', { val: false, ack: true }, () => {
-                this.log.info('SwitchBot adapter stopped successfully');
-                callback();
+            webhookStopped.finally(() => {
+                // Clean up API client
+                if (this.api) {
+                    this.log.debug('Cleaning up API client...');
+                    this.api.scheduler.clear();
+                    this.api = null;
+                }
+
+                // Set connection state to false
+                this.setState('info.connection', { val: false, ack: true }, () => {
+                    this.log.info('SwitchBot adapter stopped successfully');
+                    callback();
+                });
             });
             
         } catch (error) {
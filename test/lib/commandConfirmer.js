@@ -0,0 +1,172 @@
+const { expect } = require('chai');
+const CommandConfirmer = require('../../lib/command-confirmer');
+const { installClock, createAdapter, stateValue } = require('./helpers');
+
+describe('CommandConfirmer', function() {
+    let clock;
+    let adapter;
+    let confirmer;
+    let delays;
+
+    beforeEach(function() {
+        clock = installClock();
+        adapter = createAdapter();
+
+        // Record the wait before each poll
+        delays = [];
+        const setTimeout = adapter.setTimeout;
+        adapter.setTimeout = (callback, delay) => {
+            delays.push(delay);
+            return setTimeout(callback, delay);
+        };
+    });
+
+    afterEach(function() {
+        confirmer.stop();
+        clock.uninstall();
+    });
+
+    it('Should be disabled without a timeout', function() {
+        confirmer = new CommandConfirmer(adapter, { timeout: 0, pollStatus: async () => ({}) });
+        expect(confirmer.isEnabled()).to.equal(false);
+
+        confirmer = new CommandConfirmer(adapter, { timeout: 1000, pollStatus: async () => ({}) });
+        expect(confirmer.isEnabled()).to.equal(true);
+    });
+
+    it('Should match expected values', function() {
+        confirmer = new CommandConfirmer(adapter, { timeout: 1000, pollStatus: async () => ({}) });
+
+        expect(confirmer.matches({ power: 'ON' }, { power: 'on' })).to.equal(true);
+        expect(confirmer.matches({ brightness: '50' }, { brightness: 50 })).to.equal(true);
+        expect(confirmer.matches({ power: 'on', brightness: 40 }, { power: 'on', brightness: 50 })).to.equal(false);
+        expect(confirmer.matches({ power: null }, { power: 'off' })).to.equal(false);
+        expect(confirmer.matches({}, { lockState: 'locked' })).to.equal(false);
+    });
+
+    it('Should confirm once the status matches', async function() {
+        let polls = 0;
+        confirmer = new CommandConfirmer(adapter, {
+            timeout: 30000,
+            pollStatus: async () => ({ power: ++polls < 3 ? 'off' : 'on' })
+        });
+
+        confirmer.confirm('AA11', 'turnOn', { power: 'on' });
+        await clock.tickAsync(6000);
+        expect(polls).to.equal(2);
+
+        await clock.tickAsync(8000);
+        expect(polls).to.equal(3);
+        expect(stateValue(adapter, 'AA11.info.commandConfirmed')).to.equal(true);
+        expect(confirmer.pending.size).to.equal(0);
+    });
+
+    it('Should reset the result of the previous command while a command is pending', async function() {
+        adapter.setState('AA11.info.commandConfirmed', false, true);
+        adapter.setState('AA11.info.unconfirmedCommand', 'lock', true);
+        confirmer = new CommandConfirmer(adapter, {
+            timeout: 30000,
+            pollStatus: async () => ({ lockState: 'unlocked' })
+        });
+
+        confirmer.confirm('AA11', 'unlock', { lockState: 'unlocked' });
+        await clock.tickAsync(0);
+        expect(stateValue(adapter, 'AA11.info.commandConfirmed')).to.equal(null);
+
+        await clock.tickAsync(2000);
+        expect(stateValue(adapter, 'AA11.info.commandConfirmed')).to.equal(true);
+        expect(stateValue(adapter, 'AA11.info.unconfirmedCommand')).to.equal('');
+    });
+
+    it('Should double the delay between polls up to the maximum', async function() {
+        confirmer = new CommandConfirmer(adapter, {
+            timeout: 120000,
+            pollStatus: async () => ({ power: 'off' })
+        });
+
+        confirmer.confirm('AA11', 'turnOn', { power: 'on' });
+        await clock.tickAsync(2000 + 4000 + 8000 + 16000 + 16000);
+
+        expect(delays).to.deep.equal([2000, 4000, 8000, 16000, 16000, 16000]);
+    });
+
+    it('Should not wait longer than the rest of the timeout', async function() {
+        confirmer = new CommandConfirmer(adapter, {
+            timeout: 10000,
+            pollStatus: async () => ({ power: 'off' })
+        });
+
+        confirmer.confirm('AA11', 'turnOn', { power: 'on' });
+        await clock.tickAsync(10000);
+
+        expect(delays).to.deep.equal([2000, 4000, 4000]);
+    });
+
+    it('Should report a command that is not confirmed within the timeout', async function() {
+        confirmer = new CommandConfirmer(adapter, {
+            timeout: 10000,
+            pollStatus: async () => ({ lockState: 'unlocked' })
+        });
+
+        confirmer.confirm('AA11', 'lock', { lockState: 'locked' });
+        await clock.tickAsync(9999);
+        expect(stateValue(adapter, 'AA11.info.commandConfirmed')).to.equal(null);
+
+        await clock.tickAsync(1);
+        expect(confirmer.pending.size).to.equal(0);
+        expect(stateValue(adapter, 'AA11.info.commandConfirmed')).to.equal(false);
+        expect(stateValue(adapter, 'AA11.info.unconfirmedCommand')).to.equal('lock');
+        expect(adapter.logs.some(entry => entry.level === 'warn' && entry.message.includes('not confirmed'))).to.equal(true);
+    });
+
+    it('Should keep polling when a poll fails', async function() {
+        let polls = 0;
+        confirmer = new CommandConfirmer(adapter, {
+            timeout: 30000,
+            pollStatus: async () => {
+                if (++polls === 1) {
+                    throw new Error('timeout');
+                }
+                return { power: 'on' };
+            }
+        });
+
+        confirmer.confirm('AA11', 'turnOn', { power: 'on' });
+        await clock.tickAsync(6000);
+
+        expect(polls).to.equal(2);
+        expect(stateValue(adapter, 'AA11.info.commandConfirmed')).to.equal(true);
+    });
+
+    it('Should replace the expectation of an earlier command', async function() {
+        confirmer = new CommandConfirmer(adapter, {
+            timeout: 30000,
+            pollStatus: async () => ({ power: 'off' })
+        });
+
+        confirmer.confirm('AA11', 'turnOn', { power: 'on' });
+        confirmer.confirm('AA11', 'turnOff', { power: 'off' });
+        await clock.tickAsync(60000);
+
+        expect(stateValue(adapter, 'AA11.info.commandConfirmed')).to.equal(true);
+        expect(stateValue(adapter, 'AA11.info.unconfirmedCommand')).to.equal('');
+    });
+
+    it('Should not poll after a confirmation was cancelled', async function() {
+        let polls = 0;
+        confirmer = new CommandConfirmer(adapter, {
+            timeout: 30000,
+            pollStatus: async () => {
+                polls++;
+                return { power: 'on' };
+            }
+        });
+
+        confirmer.confirm('AA11', 'turnOn', { power: 'on' });
+        confirmer.stop();
+        await clock.tickAsync(60000);
+
+        expect(polls).to.equal(0);
+        expect(stateValue(adapter, 'AA11.info.commandConfirmed')).to.equal(null);
+    });
+});
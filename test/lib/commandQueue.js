@@ -0,0 +1,146 @@
+const { expect } = require('chai');
+const CommandQueue = require('../../lib/command-queue');
+const { installClock, sleep, createAdapter } = require('./helpers');
+
+describe('CommandQueue', function() {
+    let clock;
+    let queue;
+    let sent;
+
+    const send = (command, value, duration = 0) => async () => {
+        sent.push(`${command} ${value}`);
+        if (duration) {
+            await sleep(duration);
+        }
+    };
+
+    beforeEach(function() {
+        clock = installClock();
+        sent = [];
+    });
+
+    afterEach(function() {
+        queue.stop();
+        clock.uninstall();
+    });
+
+    it('Should debounce value writes and send the latest value', async function() {
+        queue = new CommandQueue(createAdapter(), { defaultDelay: 50 });
+
+        for (const value of [10, 20, 30, 40]) {
+            queue.push('AA11', 'setBrightness', value, send('setBrightness', value), true);
+        }
+        await clock.tickAsync(49);
+        expect(sent).to.deep.equal([]);
+
+        await clock.tickAsync(1);
+        expect(sent).to.deep.equal(['setBrightness 40']);
+    });
+
+    it('Should restart the debounce window on every write', async function() {
+        queue = new CommandQueue(createAdapter(), { defaultDelay: 100 });
+
+        queue.push('AA11', 'setBrightness', 10, send('setBrightness', 10), true);
+        await clock.tickAsync(60);
+        queue.push('AA11', 'setBrightness', 20, send('setBrightness', 20), true);
+        await clock.tickAsync(99);
+        expect(sent).to.deep.equal([]);
+
+        await clock.tickAsync(1);
+        expect(sent).to.deep.equal(['setBrightness 20']);
+    });
+
+    it('Should use the configured delay per command', async function() {
+        queue = new CommandQueue(createAdapter(), { defaultDelay: 500, delays: [{ command: 'SetColor', delay: 0 }] });
+
+        expect(queue.getDelay('setColor')).to.equal(0);
+        expect(queue.getDelay('setBrightness')).to.equal(500);
+
+        queue.push('AA11', 'setColor', '255:0:0', send('setColor', '255:0:0'), true);
+        await clock.tickAsync(10);
+        expect(sent).to.deep.equal(['setColor 255:0:0']);
+    });
+
+    it('Should send every button press in order without delay', async function() {
+        queue = new CommandQueue(createAdapter(), { defaultDelay: 500 });
+
+        queue.push('AA11', 'volumeAdd', true, send('volumeAdd', 1), false);
+        queue.push('AA11', 'turnOn', true, send('turnOn', 1), false);
+        queue.push('AA11', 'volumeAdd', true, send('volumeAdd', 2), false);
+        queue.push('AA11', 'volumeAdd', true, send('volumeAdd', 3), false);
+        await clock.tickAsync(10);
+
+        expect(sent).to.deep.equal(['volumeAdd 1', 'turnOn 1', 'volumeAdd 2', 'volumeAdd 3']);
+    });
+
+    it('Should run the commands of a device one at a time', async function() {
+        queue = new CommandQueue(createAdapter(), { defaultDelay: 0 });
+        let active = 0;
+        let maxActive = 0;
+        const run = async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await sleep(20);
+            active--;
+        };
+
+        queue.push('AA11', 'turnOn', true, run);
+        queue.push('AA11', 'turnOff', true, run);
+        queue.push('BB22', 'turnOn', true, run);
+        await clock.tickAsync(10);
+        expect(maxActive).to.equal(2);
+
+        await clock.tickAsync(40);
+        expect(active).to.equal(0);
+        expect(maxActive).to.equal(2);
+    });
+
+    it('Should supersede a pending write queued behind a running command', async function() {
+        queue = new CommandQueue(createAdapter(), { defaultDelay: 0 });
+
+        queue.push('AA11', 'setPosition', 10, send('setPosition', 10, 30), true);
+        queue.push('AA11', 'setPosition', 20, send('setPosition', 20), true);
+        queue.push('AA11', 'setPosition', 30, send('setPosition', 30), true);
+        await clock.tickAsync(60);
+
+        expect(sent).to.deep.equal(['setPosition 10', 'setPosition 30']);
+    });
+
+    it('Should continue after a failed command', async function() {
+        queue = new CommandQueue(createAdapter(), { defaultDelay: 0 });
+
+        queue.push('AA11', 'turnOn', true, async () => {
+            throw new Error('failed');
+        });
+        queue.push('AA11', 'turnOff', true, send('turnOff', true));
+        await clock.tickAsync(10);
+
+        expect(sent).to.deep.equal(['turnOff true']);
+    });
+
+    it('Should pass failed commands to the error listener', async function() {
+        const errors = [];
+        queue = new CommandQueue(createAdapter(), {
+            defaultDelay: 0,
+            onError: (deviceId, command, error) => errors.push(`${deviceId} ${command} ${error.message}`)
+        });
+
+        queue.push('AA11', 'turnOn', true, async () => {
+            throw new Error('Rate limit exceeded');
+        });
+        await clock.tickAsync(0);
+
+        expect(errors).to.deep.equal(['AA11 turnOn Rate limit exceeded']);
+    });
+
+    it('Should drop pending commands when stopped', async function() {
+        queue = new CommandQueue(createAdapter(), { defaultDelay: 20 });
+
+        queue.push('AA11', 'setBrightness', 50, send('setBrightness', 50), true);
+        queue.stop();
+        queue.push('AA11', 'turnOn', true, send('turnOn', true));
+        await clock.tickAsync(40);
+
+        expect(sent).to.deep.equal([]);
+    });
+});
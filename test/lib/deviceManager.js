@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const DeviceManager = require('../../lib/device-manager');
+const { installClock, createAdapter, apiError, createApi, stateValue } = require('./helpers');
+
+describe('DeviceManager commands', function() {
+    let clock;
+    let adapter;
+    let api;
+    let manager;
+
+    beforeEach(async function() {
+        clock = installClock();
+        adapter = createAdapter({ commandDebounce: 0, commandConfirmTimeout: 0, unlockProtection: [{ deviceId: 'LOCK1', code: '4711' }] });
+        api = createApi();
+        manager = new DeviceManager(adapter, api, null);
+
+        await manager.createDevice({ deviceId: 'BOT1', deviceName: 'Bot', deviceType: 'Bot' }, 'physical');
+        await manager.createDevice({ deviceId: 'LOCK1', deviceName: 'Lock', deviceType: 'Smart Lock' }, 'physical');
+    });
+
+    afterEach(function() {
+        manager.commandQueue.stop();
+        manager.confirmer.stop();
+        clock.uninstall();
+    });
+
+    /**
+     * Write a state as a user would and let the queued command run
+     */
+    async function write(stateId, val) {
+        adapter.setState(stateId, val, false);
+        await manager.handleStateChange(`${adapter.namespace}.${stateId}`, { val, ack: false });
+        await clock.tickAsync(0);
+    }
+
+    it('Should acknowledge the state after the API accepted the command', async function() {
+        await write('BOT1.turnOn', true);
+
+        expect(api.sent).to.deep.equal([{ deviceId: 'BOT1', command: 'turnOn', parameter: 'default' }]);
+        expect(adapter.states['BOT1.turnOn']).to.deep.equal({ val: true, ack: true });
+        expect(stateValue(adapter, 'BOT1.info.lastCommand')).to.equal('turnOn');
+        expect(stateValue(adapter, 'BOT1.info.lastCommandResult')).to.equal('success');
+        expect(stateValue(adapter, 'BOT1.info.lastCommandError')).to.equal('');
+        expect(stateValue(adapter, 'BOT1.info.lastCommandLatency')).to.be.a('number');
+    });
+
+    for (const [statusCode, message] of [[161, 'device offline'], [171, 'hub device offline']]) {
+        it(`Should leave the state unacknowledged if the API returned ${statusCode}`, async function() {
+            api.failure = apiError(statusCode, message);
+
+            await write('BOT1.turnOn', true);
+
+            expect(api.sent).to.deep.equal([]);
+            expect(adapter.states['BOT1.turnOn']).to.deep.equal({ val: true, ack: false });
+            expect(stateValue(adapter, 'BOT1.info.lastCommandResult')).to.equal('error');
+            expect(stateValue(adapter, 'BOT1.info.lastCommandError')).to.equal(`API returned status code ${statusCode}: ${message}`);
+        });
+    }
+
+    it('Should record the success of a command after a failed one', async function() {
+        api.failure = apiError(161, 'device offline');
+        await write('BOT1.turnOn', true);
+
+        api.failure = null;
+        await write('BOT1.turnOff', true);
+
+        expect(stateValue(adapter, 'BOT1.info.lastCommand')).to.equal('turnOff');
+        expect(stateValue(adapter, 'BOT1.info.lastCommandResult')).to.equal('success');
+        expect(stateValue(adapter, 'BOT1.info.lastCommandError')).to.equal('');
+    });
+
+    it('Should not send an unlock rejected by the unlock protection', async function() {
+        await write('LOCK1.unlock', true);
+
+        expect(api.sent).to.deep.equal([]);
+        expect(adapter.states['LOCK1.unlock']).to.deep.equal({ val: true, ack: false });
+        expect(stateValue(adapter, 'LOCK1.unlockRejected')).to.equal(1);
+        expect(stateValue(adapter, 'LOCK1.info.lastCommandResult')).to.equal('error');
+        expect(stateValue(adapter, 'LOCK1.info.lastCommandError')).to.equal('Unlock rejected by unlock protection');
+    });
+
+    it('Should send an armed unlock', async function() {
+        await write('LOCK1.armUnlock', true);
+        await write('LOCK1.unlock', true);
+
+        expect(api.sent).to.deep.equal([{ deviceId: 'LOCK1', command: 'unlock', parameter: 'default' }]);
+        expect(adapter.states['LOCK1.unlock']).to.deep.equal({ val: true, ack: true });
+    });
+
+    it('Should keep confirmation codes out of states and logs', async function() {
+        await write('LOCK1.lockSwitch', '0000');
+        expect(api.sent).to.deep.equal([]);
+        expect(adapter.states['LOCK1.lockSwitch']).to.deep.equal({ val: false, ack: true });
+
+        await write('LOCK1.lockSwitch', '4711');
+        expect(api.sent).to.deep.equal([{ deviceId: 'LOCK1', command: 'unlock', parameter: 'default' }]);
+        expect(adapter.states['LOCK1.lockSwitch']).to.deep.equal({ val: true, ack: true });
+
+        await write('LOCK1.unlock', '4711');
+        expect(adapter.states['LOCK1.unlock']).to.deep.equal({ val: '', ack: true });
+
+        expect(adapter.logs.filter(entry => /0000|4711/.test(entry.message))).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Shared fixtures of the lib module tests
+ */
+
+'use strict';
+
+const FakeTimers = require('@sinonjs/fake-timers');
+
+/**
+ * Install fake timers and a fake clock, advance them with clock.tickAsync()
+ * @param {number|Date} [now=0] - Start time
+ * @returns {object} - Clock, call clock.uninstall() after the test
+ */
+function installClock(now = 0) {
+    return FakeTimers.install({ now, toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+}
+
+/**
+ * Get a local date and time as timestamp, e.g. to start the fake clock at a time of day
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ * @param {number} [day=15] - Day of January 2024
+ * @returns {number}
+ */
+function localTime(hours, minutes, day = 15) {
+    return new Date(2024, 0, day, hours, minutes).getTime();
+}
+
+/**
+ * Resolve after a delay, use with the fake clock
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Minimal adapter keeping states and objects in memory
+ * @param {object} [config={}] - Instance configuration
+ * @returns {object}
+ */
+function createAdapter(config = {}) {
+    const states = {};
+    const objects = {};
+    const logs = [];
+    const logger = level => message => logs.push({ level, message });
+
+    return {
+        namespace: 'switchbot.0',
+        config,
+        states,
+        objects,
+        logs,
+        log: { debug: logger('debug'), info: logger('info'), warn: logger('warn'), error: logger('error') },
+        setTimeout: (callback, delay) => setTimeout(callback, delay),
+        clearTimeout: timer => clearTimeout(timer),
+        setInterval: (callback, delay) => setInterval(callback, delay),
+        clearInterval: timer => clearInterval(timer),
+        setState: (id, val, ack) => {
+            states[id] = { val, ack: !!ack };
+        },
+        setStateAsync: async (id, val, ack) => {
+            states[id] = { val, ack: !!ack };
+        },
+        setStateChangedAsync: async (id, val, ack) => {
+            states[id] = { val, ack: !!ack };
+        },
+        getStateAsync: async id => states[id] || null,
+        getObjectAsync: async id => objects[id] || null,
+        setObjectNotExistsAsync: async (id, obj) => {
+            if (!objects[id]) {
+                objects[id] = obj;
+            }
+        },
+        extendObjectAsync: async (id, obj) => {
+            const existing = objects[id] || {};
+            objects[id] = { ...existing, ...obj, common: { ...existing.common, ...obj.common }, native: { ...existing.native, ...obj.native } };
+        },
+        delObjectAsync: async id => {
+            delete objects[id];
+        },
+        getForeignObjectsAsync: async () => ({}),
+        subscribeStates: () => {},
+        unsubscribeStates: () => {}
+    };
+}
+
+/**
+ * Error as thrown by the API client for a status code other than 100
+ * @param {number} statusCode - SwitchBot status code
+ * @param {string} message - Status message
+ * @returns {Error}
+ */
+function apiError(statusCode, message) {
+    const error = new Error(`API returned status code ${statusCode}: ${message}`);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * API client recording the commands sent, set api.failure to make commands fail
+ * @returns {object}
+ */
+function createApi() {
+    const api = {
+        sent: [],
+        failure: null,
+        sendCommand: async (deviceId, commandData) => {
+            if (api.failure) {
+                throw api.failure;
+            }
+            api.sent.push({ deviceId, ...commandData });
+        },
+        getDeviceStatus: async () => ({})
+    };
+    return api;
+}
+
+/**
+ * Get the value of an in-memory state
+ * @param {object} adapter - Adapter from createAdapter()
+ * @param {string} id - State ID
+ * @returns {any}
+ */
+function stateValue(adapter, id) {
+    return adapter.states[id] ? adapter.states[id].val : undefined;
+}
+
+module.exports = {
+    installClock,
+    localTime,
+    sleep,
+    createAdapter,
+    apiError,
+    createApi,
+    stateValue
+};
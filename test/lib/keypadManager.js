@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const KeypadManager = require('../../lib/keypad-manager');
+const { createAdapter, stateValue } = require('./helpers');
+
+describe('KeypadManager', function() {
+    let adapter;
+    let keypads;
+
+    beforeEach(function() {
+        adapter = createAdapter();
+        keypads = new KeypadManager(adapter, null);
+    });
+
+    describe('buildKey', function() {
+        it('Should build a permanent key by default', function() {
+            expect(keypads.buildKey({ name: 'Guest', password: 123456 })).to.deep.equal({ name: 'Guest', type: 'permanent', password: '123456' });
+        });
+
+        it('Should accept passcodes with 6 to 12 digits only', function() {
+            expect(keypads.buildKey({ name: 'A', password: '123456' }).password).to.equal('123456');
+            expect(keypads.buildKey({ name: 'A', password: '123456789012' }).password).to.equal('123456789012');
+
+            for (const password of ['12345', '1234567890123', '12345a', '', undefined, ' 123456']) {
+                expect(() => keypads.buildKey({ name: 'A', password })).to.throw('Passcode must have 6 to 12 digits');
+            }
+        });
+
+        it('Should require a name', function() {
+            expect(() => keypads.buildKey({ password: '123456' })).to.throw('Passcode name is required');
+            expect(() => keypads.buildKey({ name: 42, password: '123456' })).to.throw('Passcode name is required');
+        });
+
+        it('Should accept the key types of the API only', function() {
+            expect(keypads.buildKey({ name: 'A', type: 'urgent', password: '123456' }).type).to.equal('urgent');
+            expect(() => keypads.buildKey({ name: 'A', type: 'temporary', password: '123456' })).to.throw('Invalid passcode type temporary');
+        });
+
+        it('Should require start and end time for timed keys', function() {
+            for (const type of ['timeLimit', 'disposable']) {
+                expect(() => keypads.buildKey({ name: 'A', type, password: '123456' })).to.throw('Invalid startTime');
+                expect(() => keypads.buildKey({ name: 'A', type, password: '123456', startTime: 1700000000 })).to.throw('Invalid endTime');
+                expect(() => keypads.buildKey({ name: 'A', type, password: '123456', startTime: 1700003600, endTime: 1700000000 }))
+                    .to.throw('endTime must be after startTime');
+            }
+
+            const key = keypads.buildKey({ name: 'A', type: 'timeLimit', password: '123456', startTime: 1700000000, endTime: 1700003600 });
+            expect(key).to.deep.equal({ name: 'A', type: 'timeLimit', password: '123456', startTime: 1700000000, endTime: 1700003600 });
+        });
+
+        it('Should ignore times of permanent keys', function() {
+            expect(keypads.buildKey({ name: 'A', password: '123456', startTime: 'soon' })).to.not.have.property('startTime');
+        });
+    });
+
+    describe('toSeconds', function() {
+        it('Should keep seconds', function() {
+            expect(keypads.toSeconds(1700000000, 'startTime')).to.equal(1700000000);
+            expect(keypads.toSeconds('1700000000', 'startTime')).to.equal(1700000000);
+        });
+
+        it('Should convert milliseconds', function() {
+            expect(keypads.toSeconds(1700000000123, 'startTime')).to.equal(1700000000);
+        });
+
+        it('Should convert dates and date strings', function() {
+            expect(keypads.toSeconds(new Date('2023-11-14T22:13:20Z'), 'startTime')).to.equal(1700000000);
+            expect(keypads.toSeconds('2023-11-14T22:13:20Z', 'startTime')).to.equal(1700000000);
+        });
+
+        it('Should reject values that are no time', function() {
+            for (const value of [undefined, null, 0, -1, 'tomorrow', NaN]) {
+                expect(() => keypads.toSeconds(value, 'endTime')).to.throw('Invalid endTime: expected a time');
+            }
+        });
+    });
+
+    it('Should never write passcodes to the keys state', async function() {
+        await keypads.updateKeys('KP1', [{ id: 1, name: 'Guest', type: 'permanent', status: 'normal', password: 'encrypted', iv: 'abc' }]);
+
+        expect(JSON.parse(stateValue(adapter, 'KP1.keys'))).to.deep.equal([{ id: 1, name: 'Guest', type: 'permanent', status: 'normal' }]);
+    });
+});
@@ -0,0 +1,128 @@
+const { expect } = require('chai');
+const PollScheduler = require('../../lib/poll-scheduler');
+const QuotaManager = require('../../lib/quota-manager');
+const { installClock, localTime, createAdapter, stateValue } = require('./helpers');
+
+const meter = { deviceId: 'AA11', type: 'Meter Plus', family: 'meter' };
+const plug = { deviceId: 'BB22', type: 'Plug Mini (US)', family: 'plug' };
+const lock = { deviceId: 'CC33', type: 'Smart Lock Pro', family: 'lock' };
+
+describe('PollScheduler', function() {
+    let clock;
+    let adapter;
+    let scheduler;
+    let polls;
+
+    beforeEach(function() {
+        clock = installClock(localTime(12, 0));
+        adapter = createAdapter();
+        polls = [];
+    });
+
+    afterEach(function() {
+        scheduler.stop();
+        clock.uninstall();
+    });
+
+    /**
+     * Create a scheduler recording its polls
+     */
+    function createScheduler(options, quotaManager) {
+        return new PollScheduler(adapter, {
+            defaultInterval: 60000,
+            quotaManager: quotaManager || new QuotaManager(adapter),
+            pollDevice: async deviceId => {
+                polls.push(`${deviceId} ${(Date.now() - localTime(12, 0)) / 1000}`);
+            },
+            ...options
+        });
+    }
+
+    describe('resolveInterval', function() {
+        beforeEach(function() {
+            scheduler = createScheduler({
+                typeIntervals: [
+                    { type: 'meter', interval: 600 },
+                    { type: 'Meter Plus', interval: 120 },
+                    { type: 'plug', interval: 30 }
+                ],
+                deviceIntervals: [{ deviceId: 'aa11 ', interval: 15 }]
+            });
+        });
+
+        it('Should prefer the device interval', function() {
+            expect(scheduler.resolveInterval(meter)).to.equal(15000);
+        });
+
+        it('Should prefer the type interval over the family interval', function() {
+            expect(scheduler.resolveInterval({ ...meter, deviceId: 'DD44' })).to.equal(120000);
+            expect(scheduler.resolveInterval({ deviceId: 'EE55', type: 'Meter', family: 'meter' })).to.equal(600000);
+        });
+
+        it('Should use the family interval', function() {
+            expect(scheduler.resolveInterval(plug)).to.equal(30000);
+        });
+
+        it('Should fall back to the global interval', function() {
+            expect(scheduler.resolveInterval(lock)).to.equal(60000);
+            expect(scheduler.resolveInterval({ deviceId: 'FF66', type: 'Unknown' })).to.equal(60000);
+        });
+    });
+
+    it('Should not poll a device with interval 0', async function() {
+        scheduler = createScheduler({
+            typeIntervals: [{ type: 'lock', interval: 60 }],
+            deviceIntervals: [{ deviceId: 'CC33', interval: 0 }]
+        });
+
+        scheduler.setDevices([lock, plug]);
+        await clock.tickAsync(5 * 60000);
+
+        expect(polls.filter(poll => poll.startsWith('CC33'))).to.deep.equal([]);
+        expect(polls.filter(poll => poll.startsWith('BB22'))).to.have.lengthOf(6);
+    });
+
+    it('Should poll each device on its own interval', async function() {
+        scheduler = createScheduler({ typeIntervals: [{ type: 'meter', interval: 120 }] });
+
+        scheduler.setDevices([meter, plug]);
+        await clock.tickAsync(4 * 60000);
+
+        expect(polls).to.deep.equal(['AA11 0', 'BB22 0', 'BB22 60', 'AA11 120', 'BB22 120', 'BB22 180', 'AA11 240', 'BB22 240']);
+        expect(stateValue(adapter, 'info.pollStretchFactor')).to.equal(1);
+    });
+
+    it('Should stretch the intervals to stay within the budget', async function() {
+        // 1440 polls per device until midnight with 30s intervals, 9000 requests left for polling
+        const devices = Array.from({ length: 10 }, (_, i) => ({ deviceId: `D${i}`, type: 'Plug', family: 'plug' }));
+        scheduler = createScheduler({ defaultInterval: 30000 });
+
+        scheduler.setDevices(devices);
+        expect(stateValue(adapter, 'info.pollStretchFactor')).to.equal(1.6);
+
+        await clock.tickAsync(60000);
+        expect(polls.filter(poll => poll.startsWith('D0 '))).to.deep.equal(['D0 0', 'D0 48']);
+        expect(adapter.logs.some(entry => entry.level === 'info' && entry.message.includes('stretched by factor 1.6'))).to.equal(true);
+    });
+
+    it('Should pause polling when the budget is used up until the next day', async function() {
+        const quotaManager = new QuotaManager(adapter, { dailyBudget: 10000, commandReserve: 1000 });
+        quotaManager.requestsToday = 9000;
+        scheduler = createScheduler({}, quotaManager);
+
+        scheduler.setDevices([plug]);
+        expect(stateValue(adapter, 'info.pollStretchFactor')).to.equal(-1);
+        expect(adapter.logs.some(entry => entry.level === 'warn' && entry.message.includes('polling paused'))).to.equal(true);
+
+        await clock.tickAsync(12 * 60 * 60000 - 1);
+        expect(polls).to.deep.equal(['BB22 0']);
+
+        // The counter starts again at midnight
+        await clock.tickAsync(1);
+        expect(polls).to.deep.equal(['BB22 0', 'BB22 43200']);
+        expect(stateValue(adapter, 'info.pollStretchFactor')).to.equal(1);
+
+        await clock.tickAsync(60000);
+        expect(polls).to.deep.equal(['BB22 0', 'BB22 43200', 'BB22 43260']);
+    });
+});
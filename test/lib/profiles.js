@@ -0,0 +1,383 @@
+const { expect } = require('chai');
+const DeviceManager = require('../../lib/device-manager');
+const { installClock, createAdapter, createApi, stateValue } = require('./helpers');
+
+describe('Device profiles', function() {
+    let clock;
+    let adapter;
+    let api;
+    let manager;
+
+    beforeEach(function() {
+        clock = installClock();
+        adapter = createAdapter({ commandDebounce: 0, commandConfirmTimeout: 0 });
+        api = createApi();
+        manager = new DeviceManager(adapter, api, null);
+    });
+
+    afterEach(function() {
+        manager.commandQueue.stop();
+        manager.confirmer.stop();
+        clock.uninstall();
+    });
+
+    /**
+     * Create a device of a type, physical devices are named after their type
+     */
+    async function createDevice(deviceId, deviceType, category = 'physical') {
+        const typeField = category === 'physical' ? 'deviceType' : 'remoteType';
+        await manager.createDevice({ deviceId, deviceName: deviceType, [typeField]: deviceType }, category);
+    }
+
+    /**
+     * Write a state as a user would and let the queued command run
+     */
+    async function write(stateId, val) {
+        adapter.setState(stateId, val, false);
+        await manager.handleStateChange(`${adapter.namespace}.${stateId}`, { val, ack: false });
+        await clock.tickAsync(0);
+    }
+
+    /**
+     * Parameters of the commands sent
+     */
+    function sentParameters() {
+        return api.sent.map(commandData => commandData.parameter);
+    }
+
+    describe('Air Conditioner remote', function() {
+        it('Should send all settings with every control', async function() {
+            await createDevice('AC1', 'Air Conditioner', 'infrared');
+
+            await write('AC1.temperature', 22);
+            await write('AC1.mode', 2);
+            await write('AC1.fanSpeed', '4');
+            await write('AC1.power', false);
+
+            expect(api.sent.map(commandData => commandData.command)).to.deep.equal(['setAll', 'setAll', 'setAll', 'setAll']);
+            expect(sentParameters()).to.deep.equal(['22,1,1,on', '22,2,1,on', '22,2,4,on', '22,2,4,off']);
+            expect(adapter.states['AC1.power']).to.deep.equal({ val: false, ack: true });
+        });
+
+        it('Should send the settings of the last run after a restart', async function() {
+            adapter.setState('AC1.temperature', 19, true);
+            adapter.setState('AC1.power', false, true);
+            await createDevice('AC1', 'Air Conditioner', 'infrared');
+
+            await write('AC1.mode', 5);
+
+            expect(sentParameters()).to.deep.equal(['19,5,1,off']);
+        });
+
+        it('Should not send invalid values', async function() {
+            await createDevice('AC1', 'Air Conditioner', 'infrared');
+
+            await write('AC1.temperature', 31);
+            await write('AC1.mode', 6);
+
+            expect(api.sent).to.deep.equal([]);
+            expect(stateValue(adapter, 'AC1.info.lastCommandError')).to.equal('Invalid value 6: expected one of 1, 2, 3, 4, 5');
+        });
+    });
+
+    describe('Window coverings', function() {
+        it('Should show the blind level inverted to the slide position', async function() {
+            await createDevice('C1', 'Curtain3');
+
+            await manager.applyDeviceStatus('C1', { slidePosition: 30, moving: false });
+
+            expect(stateValue(adapter, 'C1.slidePosition')).to.equal(30);
+            expect(stateValue(adapter, 'C1.blindLevel')).to.equal(70);
+        });
+
+        it('Should move to the inverted blind level', async function() {
+            await createDevice('C1', 'Curtain3');
+
+            await write('C1.blindLevel', 80);
+
+            expect(api.sent).to.deep.equal([{ deviceId: 'C1', command: 'setPosition', parameter: '0,ff,20' }]);
+            expect(adapter.states['C1.blindLevel']).to.deep.equal({ val: 80, ack: true });
+        });
+
+        it('Should move with the speed of the position mode', async function() {
+            await createDevice('C1', 'Curtain');
+
+            await write('C1.positionMode', '1');
+            await write('C1.setPosition', 30);
+            await write('C1.positionMode', '2');
+            await write('C1.setPosition', 40);
+
+            expect(sentParameters()).to.deep.equal(['0,1,30', '0,1,40']);
+            expect(adapter.states['C1.positionMode']).to.deep.equal({ val: '2', ack: false });
+        });
+
+        it('Should keep the position mode of the last run', async function() {
+            adapter.setState('C1.positionMode', '0', true);
+            await createDevice('C1', 'Curtain');
+
+            await write('C1.setPosition', 50);
+
+            expect(sentParameters()).to.deep.equal(['0,0,50']);
+        });
+
+        it('Should send a plain position to the Roller Shade', async function() {
+            await createDevice('R1', 'Roller Shade');
+
+            await write('R1.setPosition', 30);
+            await write('R1.blindLevel', 100);
+
+            expect(sentParameters()).to.deep.equal([30, 0]);
+        });
+
+        it('Should send even tilt positions with a direction', async function() {
+            await createDevice('T1', 'Blind Tilt');
+
+            await write('T1.tiltPosition', 'down;41');
+            await write('T1.tiltPosition', 45);
+            await write('T1.tiltPosition', 'left;40');
+            await write('T1.tiltPosition', 'up;101');
+
+            expect(api.sent).to.deep.equal([
+                { deviceId: 'T1', command: 'setPosition', parameter: 'down;42' },
+                { deviceId: 'T1', command: 'setPosition', parameter: 'up;46' }
+            ]);
+        });
+    });
+
+    describe('Robot vacuums', function() {
+        it('Should start the newer models with the clean settings', async function() {
+            await createDevice('V1', 'Robot Vacuum Cleaner S10');
+
+            await write('V1.start', true);
+            await write('V1.cleanMode', 'sweep_mop');
+            await write('V1.fanLevel', '3');
+            await write('V1.cleanTimes', 2);
+            await write('V1.start', true);
+            await write('V1.stop', true);
+
+            expect(api.sent).to.deep.equal([
+                { deviceId: 'V1', command: 'startClean', parameter: { action: 'sweep', param: { fanLevel: 2, times: 1 } } },
+                { deviceId: 'V1', command: 'startClean', parameter: { action: 'sweep_mop', param: { fanLevel: 3, times: 2, waterLevel: 1 } } },
+                { deviceId: 'V1', command: 'pause', parameter: 'default' }
+            ]);
+        });
+
+        it('Should send a startClean payload written as JSON', async function() {
+            await createDevice('V1', 'Robot Vacuum Cleaner K10+ Pro Combo');
+
+            await write('V1.startClean', '{"action":"sweep","param":{"fanLevel":4,"times":1}}');
+            await write('V1.startClean', 'sweep');
+            await write('V1.startClean', '{"param":{}}');
+
+            expect(sentParameters()).to.deep.equal([{ action: 'sweep', param: { fanLevel: 4, times: 1 } }]);
+        });
+
+        it('Should use the simple commands of the older models', async function() {
+            await createDevice('V1', 'K10+');
+
+            await write('V1.start', true);
+            await write('V1.suctionLevel', 3);
+            await write('V1.stop', true);
+
+            expect(api.sent).to.deep.equal([
+                { deviceId: 'V1', command: 'start', parameter: 'default' },
+                { deviceId: 'V1', command: 'PowLevel', parameter: 3 },
+                { deviceId: 'V1', command: 'stop', parameter: 'default' }
+            ]);
+        });
+    });
+
+    describe('Lights', function() {
+        it('Should turn off at brightness 0', async function() {
+            await createDevice('L1', 'Strip Light 3');
+
+            await write('L1.brightness', 40);
+            await write('L1.brightness', 0);
+            await write('L1.power', true);
+
+            expect(api.sent).to.deep.equal([
+                { deviceId: 'L1', command: 'setBrightness', parameter: 40 },
+                { deviceId: 'L1', command: 'turnOff', parameter: 'default' },
+                { deviceId: 'L1', command: 'turnOn', parameter: 'default' }
+            ]);
+            expect(adapter.states['L1.brightness']).to.deep.equal({ val: 0, ack: true });
+        });
+
+        it('Should send colors as r:g:b', async function() {
+            await createDevice('L1', 'Floor Lamp');
+
+            await write('L1.color', '#ff8000');
+            await write('L1.color', '10:20:30');
+            await write('L1.color', '300:0:0');
+
+            expect(api.sent.map(commandData => commandData.command)).to.deep.equal(['setColor', 'setColor']);
+            expect(sentParameters()).to.deep.equal(['255:128:0', '10:20:30']);
+        });
+
+        it('Should send color temperatures within the range of the model', async function() {
+            await createDevice('L1', 'Ceiling Light');
+
+            await write('L1.colorTemperature', 2700);
+            await write('L1.colorTemperature', 7000);
+
+            expect(api.sent).to.deep.equal([{ deviceId: 'L1', command: 'setColorTemperature', parameter: 2700 }]);
+            expect(adapter.objects['L1.colorTemperature'].common).to.include({ min: 2700, max: 6500 });
+        });
+
+        it('Should only create the states of the model features', async function() {
+            await createDevice('L1', 'Ceiling Light');
+            await createDevice('L2', 'Strip Light');
+
+            expect(adapter.objects).to.not.have.property('L1.color');
+            expect(adapter.objects).to.not.have.property('L2.colorTemperature');
+            expect(adapter.objects).to.have.property('L2.color');
+        });
+    });
+
+    describe('Climate appliances', function() {
+        it('Should send the fan gear with the fan mode of air purifiers', async function() {
+            await createDevice('P1', 'Air Purifier VOC');
+
+            await write('P1.mode', 2);
+            await write('P1.mode', 1);
+            await write('P1.fanGear', 3);
+            await write('P1.mode', 1);
+            await write('P1.mode', 5);
+
+            expect(api.sent.map(commandData => commandData.command)).to.deep.equal(['setMode', 'setMode', 'setMode', 'setMode']);
+            expect(sentParameters()).to.deep.equal([{ mode: 2 }, { mode: 1, fanGear: 1 }, { mode: 1, fanGear: 3 }, { mode: 1, fanGear: 3 }]);
+        });
+
+        it('Should send the target humidity with the Humidifier2 mode', async function() {
+            await createDevice('H1', 'Humidifier2');
+
+            await write('H1.mode', 7);
+            await write('H1.targetHumidity', 60);
+            await write('H1.mode', 5);
+
+            expect(sentParameters()).to.deep.equal([{ mode: 7, targetHumidify: 50 }, { mode: 5, targetHumidify: 60 }, { mode: 5, targetHumidify: 60 }]);
+        });
+
+        it('Should send the child lock in the format of the model', async function() {
+            await createDevice('P1', 'Air Purifier PM2.5');
+            await createDevice('H1', 'Humidifier2');
+
+            await write('P1.childLock', true);
+            await write('H1.childLock', true);
+
+            expect(api.sent).to.deep.equal([
+                { deviceId: 'P1', command: 'setChildLock', parameter: 1 },
+                { deviceId: 'H1', command: 'setChildLock', parameter: true }
+            ]);
+        });
+
+        it('Should convert the status of the model', async function() {
+            await createDevice('P1', 'Air Purifier VOC');
+            await createDevice('H1', 'Humidifier2');
+
+            await manager.applyDeviceStatus('P1', { power: 'ON', mode: 2, childLock: 1 });
+            await manager.applyDeviceStatus('H1', { filterElement: { effectiveUsageHours: 720, usedHours: 100 } });
+
+            expect(stateValue(adapter, 'P1.power')).to.equal(true);
+            expect(stateValue(adapter, 'P1.childLock')).to.equal(true);
+            expect(stateValue(adapter, 'H1.filterHoursLeft')).to.equal(620);
+        });
+
+        it('Should control the wind and night light of the circulator fan', async function() {
+            await createDevice('F1', 'Battery Circulator Fan');
+
+            await write('F1.mode', 'natural');
+            await write('F1.fanSpeed', 101);
+            await write('F1.nightStatus', 0);
+            await write('F1.nightStatus', 2);
+
+            expect(api.sent).to.deep.equal([
+                { deviceId: 'F1', command: 'setWindMode', parameter: 'natural' },
+                { deviceId: 'F1', command: 'setNightLightMode', parameter: 'off' },
+                { deviceId: 'F1', command: 'setNightLightMode', parameter: '2' }
+            ]);
+        });
+    });
+
+    describe('Leak, presence and garage door', function() {
+        /**
+         * Push a webhook event of a device
+         */
+        async function pushEvent(deviceMac, context) {
+            await manager.handleWebhookEvent({ eventType: 'changeReport', context: { deviceMac, ...context } });
+        }
+
+        it('Should report leaks from the status and the webhook', async function() {
+            await createDevice('W1', 'Water Detector');
+
+            await manager.applyDeviceStatus('W1', { status: 1, battery: 90 });
+            expect(stateValue(adapter, 'W1.leak')).to.equal(true);
+
+            await pushEvent('W1', { deviceType: 'Water Detector', detectionState: 0 });
+            expect(stateValue(adapter, 'W1.status')).to.equal(0);
+            expect(stateValue(adapter, 'W1.leak')).to.equal(false);
+            expect(adapter.states).to.not.have.property('W1.detectionState');
+        });
+
+        it('Should report presence from the detection state', async function() {
+            await createDevice('S1', 'Presence Sensor');
+
+            await pushEvent('S1', { detectionState: 'DETECTED' });
+            expect(stateValue(adapter, 'S1.detectionState')).to.equal('DETECTED');
+            expect(stateValue(adapter, 'S1.occupied')).to.equal(true);
+
+            await manager.applyDeviceStatus('S1', { detectionState: 'NOT_DETECTED' });
+            expect(stateValue(adapter, 'S1.occupied')).to.equal(false);
+        });
+
+        it('Should report motion of the webhook as boolean', async function() {
+            await createDevice('M1', 'Motion Sensor');
+
+            await pushEvent('M1', { detectionState: 'DETECTED' });
+            expect(stateValue(adapter, 'M1.moveDetected')).to.equal(true);
+
+            await pushEvent('M1', { detectionState: 'NOT_DETECTED' });
+            expect(stateValue(adapter, 'M1.moveDetected')).to.equal(false);
+        });
+
+        it('Should show and switch the garage door', async function() {
+            await createDevice('G1', 'Garage Door Opener');
+
+            await manager.applyDeviceStatus('G1', { doorStatus: 0 });
+            expect(stateValue(adapter, 'G1.doorOpen')).to.equal(true);
+            expect(stateValue(adapter, 'G1.gate')).to.equal(true);
+
+            await write('G1.gate', false);
+            expect(api.sent).to.deep.equal([{ deviceId: 'G1', command: 'turnOff', parameter: 'default' }]);
+        });
+    });
+
+    describe('Humidifier', function() {
+        it('Should send modes and target humidities with setMode', async function() {
+            await createDevice('H1', 'Humidifier');
+
+            await write('H1.setMode', ' Auto ');
+            await write('H1.setMode', 102);
+            await write('H1.setMode', '45');
+            await write('H1.setMode', 104);
+
+            expect(api.sent.map(commandData => commandData.command)).to.deep.equal(['setMode', 'setMode', 'setMode']);
+            expect(sentParameters()).to.deep.equal(['auto', '102', '45']);
+            expect(stateValue(adapter, 'H1.info.lastCommandError'))
+                .to.equal('Invalid value 104: expected auto, 101, 102, 103 or a target humidity between 0 and 100');
+        });
+
+        it('Should send the mode and target humidity states', async function() {
+            await createDevice('H1', 'Humidifier');
+
+            await write('H1.mode', '101');
+            await write('H1.mode', 'AUTO');
+            await write('H1.mode', '50');
+            await write('H1.targetHumidity', 60);
+            await write('H1.targetHumidity', 101);
+
+            expect(sentParameters()).to.deep.equal(['101', 'auto', '60']);
+            expect(adapter.states['H1.targetHumidity']).to.deep.equal({ val: 101, ack: false });
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const { expect } = require('chai');
+const QuotaManager = require('../../lib/quota-manager');
+const { installClock, localTime, createAdapter, stateValue } = require('./helpers');
+
+// One request per minute, 720 requests in the 12 hours until midnight
+const ONE_PER_MINUTE = 1 / 60000;
+
+describe('QuotaManager', function() {
+    let clock;
+    let adapter;
+    let quota;
+
+    beforeEach(function() {
+        clock = installClock(localTime(12, 0));
+        adapter = createAdapter();
+        quota = new QuotaManager(adapter, { dailyBudget: 10000, commandReserve: 1000 });
+    });
+
+    afterEach(function() {
+        clock.uninstall();
+    });
+
+    /**
+     * Count requests without waiting for the states
+     */
+    function recordRequests(count) {
+        for (let i = 0; i < count; i++) {
+            quota.recordRequest('GET', '/v1.1/devices');
+        }
+    }
+
+    it('Should not stretch intervals that stay within the budget', function() {
+        expect(quota.getPollStretch(ONE_PER_MINUTE)).to.equal(1);
+        expect(quota.getPollStretch(0)).to.equal(1);
+    });
+
+    it('Should stretch intervals that would exceed the budget', function() {
+        // 14400 requests projected until midnight, 9000 left for polling
+        expect(quota.getPollStretch(20 * ONE_PER_MINUTE)).to.be.closeTo(1.6, 0.001);
+
+        // Requests made today leave less for polling
+        recordRequests(4500);
+        expect(quota.getPollStretch(20 * ONE_PER_MINUTE)).to.be.closeTo(3.2, 0.001);
+    });
+
+    it('Should keep the command reserve free', function() {
+        recordRequests(8999);
+        expect(quota.getPollStretch(ONE_PER_MINUTE)).to.equal(720);
+
+        recordRequests(1);
+        expect(quota.getPollStretch(ONE_PER_MINUTE)).to.equal(Infinity);
+    });
+
+    it('Should report a used up budget', async function() {
+        recordRequests(10000);
+        await clock.tickAsync(0);
+
+        expect(quota.getPollStretch(ONE_PER_MINUTE)).to.equal(Infinity);
+        expect(stateValue(adapter, 'info.apiRequestsToday')).to.equal(10000);
+        expect(stateValue(adapter, 'info.apiRequestsRemaining')).to.equal(0);
+        expect(adapter.logs.filter(entry => entry.level === 'warn')).to.have.lengthOf(1);
+    });
+
+    it('Should reset the counter at midnight', async function() {
+        clock.setSystemTime(localTime(23, 30));
+        recordRequests(10000);
+        expect(quota.getTimeUntilRollOver()).to.equal(30 * 60000);
+
+        await clock.tickAsync(30 * 60000);
+        expect(quota.getPollStretch(ONE_PER_MINUTE)).to.equal(1);
+        expect(quota.requestsToday).to.equal(0);
+        expect(quota.date).to.equal('2024-01-16');
+        expect(quota.getTimeUntilRollOver()).to.equal(24 * 60 * 60000);
+
+        recordRequests(1);
+        await clock.tickAsync(0);
+        expect(stateValue(adapter, 'info.apiRequestsToday')).to.equal(1);
+        expect(stateValue(adapter, 'info.apiRequestsDate')).to.equal('2024-01-16');
+    });
+
+    it('Should restore the counter of the same day only', async function() {
+        adapter.setState('info.apiRequestsDate', '2024-01-15', true);
+        adapter.setState('info.apiRequestsToday', 1234, true);
+        await quota.init();
+        expect(quota.requestsToday).to.equal(1234);
+
+        adapter.setState('info.apiRequestsDate', '2024-01-14', true);
+        const nextQuota = new QuotaManager(adapter, { dailyBudget: 10000 });
+        await nextQuota.init();
+        expect(nextQuota.requestsToday).to.equal(0);
+        expect(stateValue(adapter, 'info.apiRequestsToday')).to.equal(0);
+        expect(stateValue(adapter, 'info.apiRequestsDate')).to.equal('2024-01-15');
+    });
+});
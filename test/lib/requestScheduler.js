@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const RequestScheduler = require('../../lib/request-scheduler');
+const { installClock, sleep, createAdapter } = require('./helpers');
+
+describe('RequestScheduler', function() {
+    let clock;
+    let scheduler;
+
+    beforeEach(function() {
+        clock = installClock();
+    });
+
+    afterEach(function() {
+        scheduler.clear();
+        clock.uninstall();
+    });
+
+    it('Should run commands before queued polls', async function() {
+        scheduler = new RequestScheduler({ log: createAdapter().log, concurrency: 1, maxPerSecond: 20 });
+        const order = [];
+        const request = (name, duration = 10) => async () => {
+            order.push(name);
+            await sleep(duration);
+        };
+
+        const requests = [
+            scheduler.schedule(request('poll 1', 30), 'poll'),
+            scheduler.schedule(request('poll 2'), 'poll'),
+            scheduler.schedule(request('discovery'), 'discovery'),
+            scheduler.schedule(request('command'), 'command')
+        ];
+        await clock.tickAsync(100);
+        await Promise.all(requests);
+
+        expect(order).to.deep.equal(['poll 1', 'command', 'discovery', 'poll 2']);
+    });
+
+    it('Should not exceed the concurrency limit', async function() {
+        scheduler = new RequestScheduler({ log: createAdapter().log, concurrency: 2, maxPerSecond: 20 });
+        let active = 0;
+        let maxActive = 0;
+        const request = async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await sleep(20);
+            active--;
+        };
+
+        const requests = [1, 2, 3, 4, 5].map(() => scheduler.schedule(request, 'poll'));
+        await clock.tickAsync(100);
+        await Promise.all(requests);
+
+        expect(maxActive).to.equal(2);
+    });
+
+    it('Should cap the requests started per second', async function() {
+        scheduler = new RequestScheduler({ log: createAdapter().log, concurrency: 5, maxPerSecond: 2 });
+        const startTimes = [];
+        const request = async () => {
+            startTimes.push(Date.now());
+        };
+
+        const requests = [1, 2, 3].map(() => scheduler.schedule(request, 'command'));
+        await clock.tickAsync(999);
+        expect(startTimes).to.deep.equal([0, 0]);
+
+        await clock.tickAsync(1);
+        await Promise.all(requests);
+        expect(startTimes).to.deep.equal([0, 0, 1000]);
+    });
+
+    it('Should pass results and errors to the caller', async function() {
+        scheduler = new RequestScheduler({ log: createAdapter().log });
+
+        expect(await scheduler.schedule(async () => 42)).to.equal(42);
+
+        let error = null;
+        await scheduler.schedule(async () => {
+            throw new Error('failed');
+        }).catch(err => {
+            error = err;
+        });
+        expect(error).to.be.an('error').with.property('message', 'failed');
+    });
+
+    it('Should reject queued requests when cleared', async function() {
+        scheduler = new RequestScheduler({ log: createAdapter().log, concurrency: 1, maxPerSecond: 20 });
+        const running = scheduler.schedule(() => sleep(20), 'poll');
+        const queued = scheduler.schedule(async () => 'not run', 'poll');
+
+        scheduler.clear();
+
+        let error = null;
+        await queued.catch(err => {
+            error = err;
+        });
+        await clock.tickAsync(20);
+        await running;
+        expect(error).to.be.an('error');
+        expect(error.message).to.contain('shutting down');
+    });
+
+    it('Should report queue statistics', async function() {
+        scheduler = new RequestScheduler({ log: createAdapter().log, concurrency: 1, maxPerSecond: 20 });
+        const running = scheduler.schedule(() => sleep(20), 'poll');
+        const queued = scheduler.schedule(async () => {}, 'command');
+
+        const stats = scheduler.getStats();
+        expect(stats.active).to.equal(1);
+        expect(stats.queued).to.equal(1);
+        expect(stats.depth).to.deep.equal({ command: 1, discovery: 0, poll: 0 });
+
+        await clock.tickAsync(20);
+        await Promise.all([running, queued]);
+        expect(scheduler.getStats().maxWait).to.equal(20);
+    });
+});
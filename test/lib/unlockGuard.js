@@ -0,0 +1,128 @@
+const { expect } = require('chai');
+const UnlockGuard = require('../../lib/unlock-guard');
+const { installClock, localTime, createAdapter, stateValue } = require('./helpers');
+
+async function rejectionOf(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('UnlockGuard', function() {
+    let clock;
+    let adapter;
+    let guard;
+
+    beforeEach(function() {
+        clock = installClock(localTime(12, 0));
+        adapter = createAdapter();
+    });
+
+    afterEach(function() {
+        for (const deviceId of Array.from(guard.armed.keys())) {
+            guard.disarm(deviceId);
+        }
+        clock.uninstall();
+    });
+
+    it('Should allow unlocks of locks without a rule', async function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: 'AA11' }]);
+
+        expect(await rejectionOf(guard.authorize('BB22', true))).to.equal(null);
+    });
+
+    it('Should reject an unlock that is not armed and count it', async function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: 'AA11' }]);
+
+        const first = await rejectionOf(guard.authorize('AA11', true));
+        const second = await rejectionOf(guard.authorize('AA11', true));
+
+        expect(first).to.be.an('error').with.property('message', 'Unlock rejected by unlock protection');
+        expect(second).to.be.an('error');
+        expect(stateValue(adapter, 'AA11.unlockRejected')).to.equal(2);
+    });
+
+    it('Should match device IDs case-insensitively', async function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: ' aa11 ' }]);
+
+        expect(guard.getRule('AA11')).to.be.an('object');
+        expect(await rejectionOf(guard.authorize('aa11', true))).to.be.an('error');
+    });
+
+    it('Should allow one unlock within the arm window', async function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: 'AA11' }]);
+
+        await guard.arm('AA11');
+        expect(stateValue(adapter, 'AA11.unlockArmed')).to.equal(true);
+
+        expect(await rejectionOf(guard.authorize('AA11', true))).to.equal(null);
+        expect(stateValue(adapter, 'AA11.unlockArmed')).to.equal(false);
+
+        // Arming is used up by the unlock
+        expect(await rejectionOf(guard.authorize('AA11', true))).to.be.an('error');
+    });
+
+    it('Should disarm when the arm window expires', async function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: 'AA11', armWindow: 30 }]);
+
+        await guard.arm('AA11');
+        await clock.tickAsync(29999);
+        expect(stateValue(adapter, 'AA11.unlockArmed')).to.equal(true);
+
+        await clock.tickAsync(1);
+        expect(stateValue(adapter, 'AA11.unlockArmed')).to.equal(false);
+        expect(await rejectionOf(guard.authorize('AA11', true))).to.be.an('error');
+    });
+
+    it('Should keep an active arming when the states are created again', async function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: 'AA11' }]);
+
+        await guard.createStates('AA11');
+        expect(stateValue(adapter, 'AA11.unlockArmed')).to.equal(false);
+
+        await guard.arm('AA11');
+        await guard.createStates('AA11');
+        expect(stateValue(adapter, 'AA11.unlockArmed')).to.equal(true);
+    });
+
+    it('Should allow an unlock with the confirmation code only', async function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: 'AA11', code: '1234' }]);
+
+        expect(await rejectionOf(guard.authorize('AA11', '0000'))).to.be.an('error');
+        expect(await rejectionOf(guard.authorize('AA11', true))).to.be.an('error');
+        expect(await rejectionOf(guard.authorize('AA11', '1234'))).to.equal(null);
+        expect(stateValue(adapter, 'AA11.unlockRejected')).to.equal(2);
+    });
+
+    it('Should only protect within the time window', async function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: 'AA11', fromTime: '08:00', toTime: '18:00' }]);
+
+        expect(await rejectionOf(guard.authorize('AA11', true))).to.be.an('error');
+
+        clock.setSystemTime(localTime(7, 59));
+        expect(await rejectionOf(guard.authorize('AA11', true))).to.equal(null);
+
+        clock.setSystemTime(localTime(18, 0));
+        expect(await rejectionOf(guard.authorize('AA11', true))).to.equal(null);
+    });
+
+    it('Should handle time windows across midnight', function() {
+        guard = new UnlockGuard(adapter, [{ deviceId: 'AA11', fromTime: '22:00', toTime: '06:00' }]);
+        const rule = guard.getRule('AA11');
+
+        clock.setSystemTime(localTime(23, 30));
+        expect(guard.isActive(rule)).to.equal(true);
+
+        clock.setSystemTime(localTime(2, 0));
+        expect(guard.isActive(rule)).to.equal(true);
+
+        clock.setSystemTime(localTime(6, 0));
+        expect(guard.isActive(rule)).to.equal(false);
+
+        clock.setSystemTime(localTime(12, 0));
+        expect(guard.isActive(rule)).to.equal(false);
+    });
+});
@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const http = require('http');
+const WebhookServer = require('../../lib/webhook-server');
+const { createAdapter } = require('./helpers');
+
+const PATH = '/switchbot/0123456789abcdef0123456789abcdef';
+
+describe('WebhookServer', function() {
+    let server;
+    let events;
+
+    /**
+     * Send a request to the listener
+     * @returns {Promise<number>} - Status code
+     */
+    function request(method, path, body) {
+        return new Promise((resolve, reject) => {
+            const req = http.request({ host: '127.0.0.1', port: server.server.address().port, method, path }, res => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    beforeEach(async function() {
+        events = [];
+        server = new WebhookServer({
+            port: 0,
+            host: '127.0.0.1',
+            path: PATH,
+            log: createAdapter().log,
+            onEvent: async event => {
+                events.push(event);
+            }
+        });
+        await server.start();
+    });
+
+    afterEach(async function() {
+        await server.stop();
+    });
+
+    it('Should listen on the configured address', function() {
+        expect(server.server.address().address).to.equal('127.0.0.1');
+    });
+
+    it('Should accept events on the path with the token', async function() {
+        const event = { eventType: 'changeReport', context: { deviceMac: 'AA11', detectionState: 'DETECTED' } };
+
+        expect(await request('POST', PATH, JSON.stringify(event))).to.equal(200);
+        expect(events).to.deep.equal([event]);
+    });
+
+    it('Should reject events without the right token', async function() {
+        const body = JSON.stringify({ eventType: 'changeReport', context: { deviceMac: 'AA11', lockState: 'UNLOCKED' } });
+
+        expect(await request('POST', '/switchbot', body)).to.equal(404);
+        expect(await request('POST', '/switchbot/', body)).to.equal(404);
+        expect(await request('POST', '/switchbot/0123456789abcdef0123456789abcdee', body)).to.equal(404);
+        expect(await request('POST', `${PATH}0`, body)).to.equal(404);
+        expect(events).to.deep.equal([]);
+    });
+
+    it('Should only accept POST requests', async function() {
+        expect(await request('GET', PATH)).to.equal(404);
+        expect(events).to.deep.equal([]);
+    });
+
+    it('Should reject invalid payloads', async function() {
+        expect(await request('POST', PATH, 'not json')).to.equal(400);
+        expect(events).to.deep.equal([]);
+    });
+});